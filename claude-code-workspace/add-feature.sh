@@ -0,0 +1,22 @@
+#!/bin/bash
+# Quick start script for adding features
+
+echo "Adding feature to existing project..."
+echo "====================================="
+echo ""
+read -p "Feature name: " FEATURE_NAME
+read -p "Project path: " PROJECT_PATH
+read -p "Brief description: " DESCRIPTION
+
+cd feature-development
+mkdir -p "features/$FEATURE_NAME"
+cd "features/$FEATURE_NAME"
+
+echo "Phase 1: Analyzing impact (MANDATORY)..."
+claude -p "Feature-analyzer: analyze the impact of adding $DESCRIPTION to the project at $PROJECT_PATH"
+
+echo ""
+echo "After reviewing the analysis, you can proceed with:"
+echo "  claude -p \"Safe-developer: implement the feature following the impact analysis\""
+echo "  claude -p \"Regression-guard: verify no regressions\""
+echo "  claude -p \"Integration-tester: test integration\""
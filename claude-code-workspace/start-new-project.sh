@@ -0,0 +1,22 @@
+#!/bin/bash
+# Quick start script for new projects
+
+echo "Starting new project with Claude Code..."
+echo "======================================="
+echo ""
+read -p "Project name: " PROJECT_NAME
+read -p "Project type (web/api/cli): " PROJECT_TYPE
+read -p "Brief description: " DESCRIPTION
+
+cd new-projects
+mkdir -p "projects/$PROJECT_NAME"
+cd "projects/$PROJECT_NAME"
+
+echo "Initiating planning phase..."
+claude -p "think harder about creating a $PROJECT_TYPE application called $PROJECT_NAME. $DESCRIPTION. Create a detailed plan but don't code yet."
+
+echo ""
+echo "After reviewing the plan, you can proceed with:"
+echo "  claude -p \"Architect agent: design the system architecture\""
+echo "  claude -p \"Backend-developer: implement the backend\""
+echo "  claude -p \"Frontend-developer: implement the frontend\""
@@ -0,0 +1,336 @@
+/**
+ * Agent definitions in both formats the framework ships:
+ *
+ *   .claude/agents/<name>.md          Claude Code subagents (PM framework)
+ *   .claude-code/agents/<name>.yml    workspace agents (setup profiles)
+ *
+ * Both carry the same "---" frontmatter (name, description, tools) followed
+ * by the system prompt. A .yml agent may instead be plain YAML with the
+ * prompt under "prompt". Converting between them normalizes the frontmatter
+ * and maps tool names Claude Code does not know (Git, Shell, ...) to the
+ * tools that cover them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parse, parseFrontmatter } = require('./yaml');
+const { PHASES } = require('./pm-state');
+
+const AGENT_NAME_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const MCP_TOOL_PATTERN = /^mcp__[\w-]+(__[\w-]+)?$/;
+const FORMATS = ['md', 'yml'];
+const DEFAULT_DIRS = { md: '.claude/agents', yml: '.claude-code/agents' };
+const PROMPT_KEYS = ['prompt', 'system_prompt', 'instructions'];
+const SKIP_DIRS = ['.git', 'node_modules', 'pm-state'];
+
+const KNOWN_TOOLS = [
+  'Bash',
+  'BashOutput',
+  'Edit',
+  'ExitPlanMode',
+  'Glob',
+  'Grep',
+  'KillShell',
+  'LS',
+  'MultiEdit',
+  'NotebookEdit',
+  'NotebookRead',
+  'Read',
+  'SlashCommand',
+  'Task',
+  'TodoWrite',
+  'WebFetch',
+  'WebSearch',
+  'Write'
+];
+
+// Names seen in hand-written agents and the tool that actually covers them
+const TOOL_ALIASES = {
+  Git: 'Bash',
+  Shell: 'Bash',
+  Terminal: 'Bash',
+  Search: 'Grep',
+  Find: 'Glob',
+  Fetch: 'WebFetch',
+  Todo: 'TodoWrite'
+};
+
+// Agents each PM phase hands work to, in the order /pm uses them. An agent
+// can add itself to more phases with a `phases: [...]` frontmatter entry.
+const PHASE_AGENTS = {
+  PLAN: ['architect'],
+  DESIGN: ['architect'],
+  IMPLEMENT: ['developer', 'code-critic', 'standards-researcher', 'ci-fixer'],
+  TEST: ['tester'],
+  REVIEW: ['reviewer', 'code-critic'],
+  DEPLOY: ['devops', 'ci-fixer']
+};
+
+function splitTools(tools) {
+  if (Array.isArray(tools)) return tools.map(tool => String(tool).trim()).filter(Boolean);
+  if (typeof tools === 'string') return tools.split(',').map(tool => tool.trim()).filter(Boolean);
+  return [];
+}
+
+function isKnownTool(tool) {
+  return KNOWN_TOOLS.includes(tool) || MCP_TOOL_PATTERN.test(tool);
+}
+
+/**
+ * Maps tool names onto KNOWN_TOOLS: exact names pass, wrong case is fixed,
+ * aliases are replaced. Returns { tools, changes, unknown } with duplicates
+ * removed from tools.
+ */
+function normalizeTools(tools) {
+  const result = [];
+  const changes = [];
+  const unknown = [];
+  for (const tool of splitTools(tools)) {
+    let mapped = isKnownTool(tool) ? tool : KNOWN_TOOLS.find(known => known.toLowerCase() === tool.toLowerCase());
+    if (!mapped) {
+      const alias = Object.keys(TOOL_ALIASES).find(name => name.toLowerCase() === tool.toLowerCase());
+      mapped = alias ? TOOL_ALIASES[alias] : null;
+    }
+    if (!mapped) {
+      unknown.push(tool);
+      continue;
+    }
+    if (mapped !== tool) changes.push(`${tool} → ${mapped}`);
+    if (!result.includes(mapped)) result.push(mapped);
+  }
+  return { tools: result, changes, unknown };
+}
+
+function validateAgent(data) {
+  const problems = [];
+  if (!data) return ['Missing "---" frontmatter block'];
+  if (typeof data.name !== 'string' || !AGENT_NAME_PATTERN.test(data.name)) {
+    problems.push('"name" must be lowercase words joined by hyphens');
+  }
+  if (typeof data.description !== 'string' || data.description.trim() === '') {
+    problems.push('"description" must be a non-empty string');
+  }
+  if (splitTools(data.tools).length === 0) {
+    problems.push('"tools" must list at least one tool');
+  }
+  return problems;
+}
+
+/**
+ * Warnings that do not make an agent invalid: tool names Claude Code does
+ * not have, with the tool to use instead where one is known.
+ */
+function agentWarnings(data) {
+  const unknown = splitTools(data && data.tools).filter(tool => !isKnownTool(tool));
+  if (unknown.length === 0) return [];
+  const hints = unknown.map(tool => {
+    const { tools: mapped } = normalizeTools([tool]);
+    return mapped.length > 0 ? `${tool} (use ${mapped[0]})` : tool;
+  });
+  return [`Unknown tool(s): ${hints.join(', ')}`];
+}
+
+function formatOf(file) {
+  const ext = path.extname(file).toLowerCase();
+  if (ext === '.md') return 'md';
+  if (ext === '.yml' || ext === '.yaml') return 'yml';
+  return null;
+}
+
+/**
+ * Parses an agent file's text. Returns { data, body } where data is the
+ * frontmatter (or null) and body the system prompt.
+ */
+function parseAgent(text, format) {
+  const { data, body } = parseFrontmatter(text);
+  if (data || format !== 'yml') return { data, body };
+
+  // Plain YAML agent: the prompt is one of the keys
+  const doc = parse(text);
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) return { data: null, body };
+  const promptKey = PROMPT_KEYS.find(key => typeof doc[key] === 'string');
+  const rest = Object.assign({}, doc);
+  if (promptKey) delete rest[promptKey];
+  return { data: rest, body: promptKey ? doc[promptKey] : '' };
+}
+
+function readAgent(file, root = '.') {
+  const format = formatOf(file);
+  const agent = {
+    file: path.relative(root, file).split(path.sep).join('/'),
+    format,
+    name: path.basename(file, path.extname(file)),
+    data: null,
+    body: '',
+    tools: [],
+    error: null
+  };
+  try {
+    Object.assign(agent, parseAgent(fs.readFileSync(file, 'utf8'), format));
+  } catch (e) {
+    agent.error = `Frontmatter is not valid YAML: ${e.message}`;
+    return agent;
+  }
+  if (agent.data && typeof agent.data.name === 'string') agent.name = agent.data.name;
+  agent.tools = splitTools(agent.data && agent.data.tools);
+  return agent;
+}
+
+function yamlScalar(value) {
+  if (typeof value !== 'string') return JSON.stringify(value);
+  if (value === '' || /^[\s\-?:,[\]{}#&*!|>'"%@`]|:\s|\s#|\s$|^(true|false|null|~|yes|no|on|off)$/i.test(value) || !isNaN(Number(value))) {
+    return JSON.stringify(value);
+  }
+  return value;
+}
+
+/**
+ * Writes an agent back out. Both formats use the same frontmatter layout;
+ * name, description and tools come first and tools are a comma list.
+ */
+function serializeAgent(data, body) {
+  const ordered = ['name', 'description', 'tools'].filter(key => data[key] !== undefined)
+    .concat(Object.keys(data).filter(key => !['name', 'description', 'tools'].includes(key)));
+  const lines = ordered.map(key => {
+    const value = key === 'tools' ? splitTools(data.tools).join(', ') : data[key];
+    if (Array.isArray(value)) return `${key}: [${value.map(yamlScalar).join(', ')}]`;
+    if (value && typeof value === 'object') return `${key}: ${JSON.stringify(value)}`;
+    return `${key}: ${yamlScalar(value)}`;
+  });
+  const prompt = body.replace(/^\n+/, '').replace(/\s*$/, '\n');
+  return `---\n${lines.join('\n')}\n---\n${prompt}`;
+}
+
+/**
+ * Converts one agent file to the other format (or `to`). Returns
+ * { from, to, name, text, changes, unknown, problems }; unknown tools are
+ * dropped only when `dropUnknown` is set, otherwise they are kept and
+ * listed in `unknown`.
+ */
+function convertAgent(file, { to, dropUnknown = false } = {}) {
+  const from = formatOf(file);
+  if (!from) throw new Error(`${file}: not a .md or .yml agent`);
+  const target = to || (from === 'md' ? 'yml' : 'md');
+  if (!FORMATS.includes(target)) throw new Error(`Unknown agent format "${target}" (expected ${FORMATS.join(' or ')})`);
+
+  const agent = readAgent(file);
+  if (agent.error) throw new Error(`${file}: ${agent.error}`);
+  if (!agent.data) throw new Error(`${file}: no frontmatter to convert`);
+
+  const data = Object.assign({}, agent.data);
+  if (data.name === undefined) data.name = agent.name;
+  const { tools, changes, unknown } = normalizeTools(data.tools);
+  data.tools = dropUnknown ? tools : tools.concat(unknown);
+
+  const problems = validateAgent(data);
+  return {
+    from,
+    to: target,
+    name: data.name,
+    text: serializeAgent(data, agent.body),
+    changes: changes.concat(dropUnknown ? unknown.map(tool => `dropped ${tool}`) : []),
+    unknown,
+    problems
+  };
+}
+
+/**
+ * Finds every agents directory under root: any `agents` folder inside a
+ * .claude or .claude-code directory, at most `depth` levels down.
+ */
+function findAgentDirs(root = '.', { depth = 4 } = {}) {
+  const dirs = [];
+  const walk = (dir, level) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (e) {
+      return;
+    }
+    for (const entry of entries) {
+      if (!entry.isDirectory() || SKIP_DIRS.includes(entry.name)) continue;
+      const child = path.join(dir, entry.name);
+      if (entry.name === 'agents' && ['.claude', '.claude-code'].includes(path.basename(dir))) dirs.push(child);
+      else if (level < depth) walk(child, level + 1);
+    }
+  };
+  walk(root, 0);
+  return dirs.sort();
+}
+
+/**
+ * Reads every agent in `dirs` (default: all found under root) and checks
+ * each one: frontmatter, name vs file name, and agent names defined more
+ * than once across directories. Unknown tool names are warnings. Returns
+ * { ok, agents: [{ ...agent, problems, warnings }], duplicates: { name: [files] } }.
+ */
+function checkAgents({ root = '.', dirs } = {}) {
+  const agents = [];
+  for (const dir of dirs || findAgentDirs(root)) {
+    for (const name of fs.readdirSync(dir).sort()) {
+      if (!formatOf(name)) continue;
+      const agent = readAgent(path.join(dir, name), root);
+      agent.problems = agent.error ? [agent.error] : validateAgent(agent.data);
+      agent.warnings = agent.error ? [] : agentWarnings(agent.data);
+      if (agent.data && agent.data.name && agent.data.name !== path.basename(name, path.extname(name))) {
+        agent.problems.push(`"name" (${agent.data.name}) does not match the file name`);
+      }
+      agents.push(agent);
+    }
+  }
+
+  const byName = {};
+  for (const agent of agents) (byName[agent.name] = byName[agent.name] || []).push(agent.file);
+  const duplicates = {};
+  for (const [name, files] of Object.entries(byName)) {
+    if (files.length < 2) continue;
+    duplicates[name] = files;
+    for (const agent of agents.filter(a => a.name === name)) {
+      agent.problems.push(`Duplicate agent name; also defined in ${files.filter(f => f !== agent.file).join(', ')}`);
+    }
+  }
+
+  return { ok: agents.every(agent => agent.problems.length === 0), agents, duplicates };
+}
+
+/**
+ * Lists, per PM phase, the agents it relies on and whether each one is
+ * installed: [{ phase, agents: [{ name, file, ok, problems }] }].
+ */
+function phaseAgents({ root = '.', dirs } = {}) {
+  const { agents } = checkAgents({ root, dirs });
+  const needs = {};
+  for (const phase of PHASES) needs[phase] = [...PHASE_AGENTS[phase]];
+  for (const agent of agents) {
+    const declared = agent.data && agent.data.phases ? [].concat(agent.data.phases).map(p => String(p).toUpperCase()) : [];
+    for (const phase of declared.filter(p => needs[p] && !needs[p].includes(agent.name))) needs[phase].push(agent.name);
+  }
+
+  return PHASES.map(phase => ({
+    phase,
+    agents: needs[phase].map(name => {
+      // Prefer the Claude Code (.md) definition when both formats exist
+      const found = agents.filter(a => a.name === name).sort((a, b) => a.format.localeCompare(b.format))[0];
+      if (!found) return { name, file: null, ok: false, problems: ['Not installed'] };
+      return { name, file: found.file, ok: found.problems.length === 0, problems: found.problems };
+    })
+  }));
+}
+
+module.exports = {
+  DEFAULT_DIRS,
+  FORMATS,
+  KNOWN_TOOLS,
+  PHASE_AGENTS,
+  TOOL_ALIASES,
+  agentWarnings,
+  checkAgents,
+  convertAgent,
+  findAgentDirs,
+  formatOf,
+  normalizeTools,
+  phaseAgents,
+  readAgent,
+  serializeAgent,
+  validateAgent
+};
@@ -0,0 +1,259 @@
+/**
+ * `setup-pm doctor`: validates an installed framework end to end.
+ *
+ * Every check produces { category, target, status, message } with status
+ * ok, warn or error. Any error makes the install unhealthy.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { parse, parseFrontmatter } = require('./yaml');
+const { agentWarnings, validateAgent } = require('./agents');
+const { MANIFEST_PATH, readManifest } = require('./install');
+const { AUDIT_LOG, LEGACY_AUDIT_LOG, SCHEMA_VERSION, STATE_FILES, validate } = require('./pm-state');
+
+// Where each optional category lives; profiles that ship none of it skip it
+const CATEGORY_PATHS = {
+  hooks: '.claude/settings.json',
+  agents: '.claude/agents/',
+  workflows: '.github/workflows/'
+};
+
+function check(category, target, status, message) {
+  return { category, target, status, message };
+}
+
+/**
+ * Checks every file the install is expected to have: the installed profile's
+ * files plus anything else the manifest recorded. Files the source did not
+ * have at install time are recorded as "missing" and reported here.
+ * Returns { checks, files } where files lists every expected file.
+ */
+function checkManifest(root, frameworkFiles) {
+  const checks = [];
+  let manifest = null;
+  try {
+    manifest = readManifest(root);
+  } catch (e) {
+    checks.push(check('files', MANIFEST_PATH, 'error', `Manifest is not valid JSON: ${e.message}`));
+  }
+
+  const recorded = manifest && manifest.files ? manifest.files : null;
+  if (!recorded && checks.length === 0) {
+    checks.push(check('files', MANIFEST_PATH, 'warn', 'No manifest found; checking the profile\'s file list instead'));
+  }
+
+  const files = [...new Set([...Object.keys(frameworkFiles), ...Object.keys(recorded || {})])];
+  for (const dest of files) {
+    const entry = recorded && recorded[dest];
+    if (fs.existsSync(path.join(root, dest))) {
+      checks.push(check('files', dest, 'ok', 'Present'));
+    } else if (entry && entry.action === 'missing') {
+      checks.push(check('files', dest, 'error', 'Was not found in the framework source at install time; re-run setup-pm with a complete source'));
+    } else if (entry) {
+      checks.push(check('files', dest, 'error', 'Listed in the manifest but missing on disk'));
+    } else {
+      checks.push(check('files', dest, 'error', 'Expected by the installed profile but never installed'));
+    }
+  }
+  return { checks, files };
+}
+
+// With neither a profile nor a manifest to go by, a category is checked
+// when it exists on disk
+function installsCategory(root, files, category) {
+  const location = CATEGORY_PATHS[category];
+  if (files.length === 0) return fs.existsSync(path.join(root, location));
+  return files.some(dest => dest === location || dest.startsWith(location));
+}
+
+/**
+ * Pulls the script path out of a hook command such as
+ * `node "$CLAUDE_PROJECT_DIR"/.claude/hooks/stop-check.js`.
+ */
+function hookScriptPath(command, root) {
+  const match = command.match(/(?:"?\$\{?CLAUDE_PROJECT_DIR\}?"?\/?)?([^\s"']+\.(?:c|m)?js)\b/);
+  if (!match) return null;
+  return path.isAbsolute(match[1]) ? match[1] : path.join(root, match[1]);
+}
+
+function checkHooks(root) {
+  const settingsPath = '.claude/settings.json';
+  const file = path.join(root, settingsPath);
+  if (!fs.existsSync(file)) {
+    return [check('hooks', settingsPath, 'error', 'settings.json is missing')];
+  }
+
+  let settings;
+  try {
+    settings = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    return [check('hooks', settingsPath, 'error', `Not valid JSON: ${e.message}`)];
+  }
+
+  const checks = [];
+  const seen = new Set();
+  for (const [event, matchers] of Object.entries(settings.hooks || {})) {
+    for (const matcher of Array.isArray(matchers) ? matchers : []) {
+      for (const hook of matcher.hooks || []) {
+        if (hook.type !== 'command' || typeof hook.command !== 'string') continue;
+        const script = hookScriptPath(hook.command, root);
+        if (!script) continue;
+
+        const target = path.relative(root, script);
+        if (seen.has(target)) continue;
+        seen.add(target);
+
+        if (!fs.existsSync(script)) {
+          checks.push(check('hooks', target, 'error', `Referenced by ${event} in settings.json but does not exist`));
+          continue;
+        }
+        const result = spawnSync(process.execPath, ['--check', script], { encoding: 'utf8' });
+        if (result.status === 0) {
+          checks.push(check('hooks', target, 'ok', `${event} hook passes syntax check`));
+        } else {
+          const lines = (result.stderr || '').trim().split('\n');
+          const detail = lines.find(line => /Error\b/.test(line)) || lines[0];
+          checks.push(check('hooks', target, 'error', `Syntax error: ${detail}`));
+        }
+      }
+    }
+  }
+
+  if (seen.size === 0) {
+    checks.push(check('hooks', settingsPath, 'warn', 'No hook commands are configured'));
+  }
+  return checks;
+}
+
+function checkAgents(root) {
+  const dir = path.join(root, '.claude/agents');
+  if (!fs.existsSync(dir)) return [check('agents', '.claude/agents', 'error', 'Agents directory is missing')];
+
+  const checks = [];
+  for (const name of fs.readdirSync(dir).filter(f => f.endsWith('.md')).sort()) {
+    const target = `.claude/agents/${name}`;
+    let problems;
+    let warnings = [];
+    try {
+      const { data } = parseFrontmatter(fs.readFileSync(path.join(dir, name), 'utf8'));
+      problems = validateAgent(data);
+      warnings = agentWarnings(data);
+      if (data && data.name && `${data.name}.md` !== name) {
+        problems.push(`"name" (${data.name}) does not match the file name`);
+      }
+    } catch (e) {
+      problems = [`Frontmatter is not valid YAML: ${e.message}`];
+    }
+    // Unknown tools only warn, so agents doctor accepted before still pass
+    if (problems.length > 0) checks.push(check('agents', target, 'error', problems.join('; ')));
+    else if (warnings.length > 0) checks.push(check('agents', target, 'warn', warnings.join('; ')));
+    else checks.push(check('agents', target, 'ok', 'Frontmatter is valid'));
+  }
+  return checks;
+}
+
+function checkWorkflows(root) {
+  const dir = path.join(root, '.github/workflows');
+  if (!fs.existsSync(dir)) return [check('workflows', '.github/workflows', 'error', 'Workflows directory is missing')];
+
+  const checks = [];
+  for (const name of fs.readdirSync(dir).filter(f => /\.ya?ml$/.test(f)).sort()) {
+    const target = `.github/workflows/${name}`;
+    let workflow;
+    try {
+      workflow = parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+    } catch (e) {
+      checks.push(check('workflows', target, 'error', `Does not parse: ${e.message}`));
+      continue;
+    }
+
+    const problems = [];
+    if (!workflow || typeof workflow !== 'object') problems.push('Not a mapping');
+    else {
+      if (!workflow.on) problems.push('Missing "on" trigger');
+      if (!workflow.jobs || typeof workflow.jobs !== 'object') problems.push('Missing "jobs"');
+      for (const [id, job] of Object.entries(workflow.jobs || {})) {
+        if (!job || (!job['runs-on'] && !job.uses)) problems.push(`Job "${id}" has neither "runs-on" nor "uses"`);
+        for (const [i, step] of (job && Array.isArray(job.steps) ? job.steps : []).entries()) {
+          if (!step || (!step.run && !step.uses)) problems.push(`Job "${id}" step ${i + 1} has neither "run" nor "uses"`);
+        }
+      }
+    }
+    checks.push(problems.length === 0
+      ? check('workflows', target, 'ok', 'Parses')
+      : check('workflows', target, 'error', problems.join('; ')));
+  }
+  return checks;
+}
+
+function checkState(root, seedState) {
+  const dir = path.join(root, '.claude/pm-state');
+  if (!fs.existsSync(dir)) {
+    // Profiles that do not seed PM state have nothing to check
+    return seedState ? [check('state', '.claude/pm-state', 'error', 'State directory is missing')] : [];
+  }
+
+  const checks = [];
+  for (const name of fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort()) {
+    const target = `.claude/pm-state/${name}`;
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+    } catch (e) {
+      checks.push(check('state', target, 'error', `Not valid JSON: ${e.message}`));
+      continue;
+    }
+    if (name === LEGACY_AUDIT_LOG) {
+      checks.push(check('state', target, 'warn', `No longer used; run \`setup-pm migrate-state\` to move its entries to ${AUDIT_LOG}`));
+      continue;
+    }
+    if (!STATE_FILES.includes(name)) {
+      checks.push(check('state', target, 'ok', 'Well-formed JSON'));
+      continue;
+    }
+
+    const problems = validate(name, data);
+    if (problems.length === 0) {
+      checks.push(check('state', target, 'ok', `Matches schema v${data.schemaVersion}`));
+    } else if (!data || !(data.schemaVersion >= SCHEMA_VERSION)) {
+      checks.push(check('state', target, 'error', `Uses an older format; run \`setup-pm migrate-state\` (${problems[0]})`));
+    } else {
+      checks.push(check('state', target, 'error', problems.join('; ')));
+    }
+  }
+
+  // Without seeded state the directory only holds the install metadata
+  for (const name of seedState ? STATE_FILES : []) {
+    if (!fs.existsSync(path.join(dir, name))) {
+      checks.push(check('state', `.claude/pm-state/${name}`, 'warn', 'Missing; run setup-pm to seed it'));
+    }
+  }
+  return checks;
+}
+
+/**
+ * Runs every check against the project at `root`. Hooks, agents and
+ * workflows are only checked when the installed profile (`frameworkFiles`)
+ * or the manifest includes them. `seedState` is false for profiles that do
+ * not use PM state, so missing state files are fine.
+ */
+function runDoctor({ root = '.', frameworkFiles = {}, seedState = true } = {}) {
+  const manifest = checkManifest(root, frameworkFiles);
+  const installs = category => installsCategory(root, manifest.files, category);
+  const checks = [
+    ...manifest.checks,
+    ...(installs('hooks') ? checkHooks(root) : []),
+    ...(installs('agents') ? checkAgents(root) : []),
+    ...(installs('workflows') ? checkWorkflows(root) : []),
+    ...checkState(root, seedState)
+  ];
+  const errors = checks.filter(c => c.status === 'error').length;
+  const warnings = checks.filter(c => c.status === 'warn').length;
+  return { ok: errors === 0, errors, warnings, checks };
+}
+
+module.exports = {
+  runDoctor
+};
@@ -0,0 +1,467 @@
+/**
+ * Branch and commit conventions shared by CI and local git hooks.
+ *
+ * The branch regex in branch-naming.yml, the commitlint `type-enum` list in
+ * commit-lint.yml and the PR title regex in pr-naming.yml all derive from
+ * one file, .claude/git-conventions.json:
+ *
+ *   {
+ *     "branch": { "types": [...], "description": "[a-z0-9._-]+", "exempt": [...] },
+ *     "commit": { "types": [...], "scope": "[a-z0-9._-]+", "subjectMaxLength": 100,
+ *                 "headerMaxLength": 100, "subjectCase": [...] | null }
+ *   }
+ *
+ * subjectMaxLength bounds the PR title regex. headerMaxLength and
+ * subjectCase mirror commitlint's header-max-length and subject-case rules
+ * (config-conventional's defaults unless commit-lint.yml overrides them;
+ * null turns a rule off), so the commit-msg hook applies the same header
+ * checks as the commitlint job: whole-header length, lower-case type from
+ * the list, no trailing full stop and no forbidden subject case.
+ *
+ * `setup-pm git-hooks` extracts that file from the workflows the first time,
+ * then treats it as the source of truth: it rewrites the workflows and the
+ * `git` section of .claude-code/config.yml to match, and generates
+ * .git/hooks/commit-msg and .git/hooks/pre-push with the same checks. The
+ * generated hooks are standalone scripts with the conventions embedded, so
+ * they keep working without the framework's lib/ directory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const CONVENTIONS_PATH = '.claude/git-conventions.json';
+const CONFIG_PATH = '.claude-code/config.yml';
+const BRANCH_WORKFLOW = '.github/workflows/branch-naming.yml';
+const COMMIT_WORKFLOW = '.github/workflows/commit-lint.yml';
+const PR_WORKFLOW = '.github/workflows/pr-naming.yml';
+const HOOKS = ['commit-msg', 'pre-push'];
+const HOOK_MARKER = 'Generated by setup-pm git-hooks';
+
+const DEFAULT_SCOPE = '[a-z0-9._-]+';
+const DEFAULT_SUBJECT_MAX_LENGTH = 100;
+// @commitlint/config-conventional
+const DEFAULT_HEADER_MAX_LENGTH = 100;
+const DEFAULT_SUBJECT_CASE = ['sentence-case', 'start-case', 'pascal-case', 'upper-case'];
+const SUBJECT_CASES = ['lower-case', 'upper-case', 'camel-case', 'kebab-case', 'pascal-case', 'sentence-case', 'snake-case', 'start-case'];
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Checks
+//
+// These functions are copied verbatim into the generated hooks, so they may
+// only use their arguments and each other.
+// ─────────────────────────────────────────────────────────────────────────────
+
+function branchPattern(conventions) {
+  const { types, description } = conventions.branch;
+  return `^(${types.join('|')})\\/${description}$`;
+}
+
+function commitPattern(conventions) {
+  const { types, scope, subjectMaxLength } = conventions.commit;
+  return `^(${types.join('|')})(\\(${scope}\\))?!?: .{1,${subjectMaxLength}}$`;
+}
+
+function checkBranchName(name, conventions) {
+  if (conventions.branch.exempt.includes(name)) return null;
+  if (new RegExp(branchPattern(conventions)).test(name)) return null;
+  return `Invalid branch name "${name}". Use <type>/<description> with type one of: ${conventions.branch.types.join(', ')}`;
+}
+
+// Whether `text` is already written in commitlint's `name` case. Quoted
+// parts are ignored, and text that starts with a digit has no case.
+function isInCase(text, name) {
+  const input = text.replace(/`.*?`|".*?"|'.*?'/g, '').trim();
+  const words = input.replace(/([a-z0-9])([A-Z])/g, '$1 $2').match(/[A-Za-z0-9]+/g) || [];
+  const upperFirst = word => word.charAt(0).toUpperCase() + word.slice(1);
+  const lower = words.map(word => word.toLowerCase());
+  const cased = {
+    'lower-case': input.toLowerCase(),
+    'upper-case': input.toUpperCase(),
+    'camel-case': lower.map((word, i) => (i === 0 ? word : upperFirst(word))).join(''),
+    'kebab-case': lower.join('-'),
+    'pascal-case': lower.map(upperFirst).join(''),
+    'sentence-case': upperFirst(input),
+    'snake-case': lower.join('_'),
+    'start-case': words.map(upperFirst).join(' ')
+  }[name];
+  if (!cased || /^\d/.test(cased)) return false;
+  return cased === input;
+}
+
+function checkCommitMessage(message, conventions) {
+  const lines = message.split(/\r?\n/);
+  const scissors = lines.findIndex(line => /^# -+ >8 -+$/.test(line));
+  const text = lines.slice(0, scissors === -1 ? lines.length : scissors)
+    .filter(line => !line.startsWith('#'))
+    .join('\n')
+    .trim();
+  const header = text.split('\n')[0];
+
+  // Messages git writes itself, which commitlint ignores as well
+  if (/^(Merge |Revert "|(fixup|squash|amend)! )/.test(header)) return [];
+  if (!header) return ['Commit message is empty'];
+
+  const { types, scope, subjectCase = null } = conventions.commit;
+  const headerMaxLength = conventions.commit.headerMaxLength === undefined ? 100 : conventions.commit.headerMaxLength;
+  const problems = [];
+  const match = header.match(/^([^(!:\s]*)(\([^)]*\))?!?:(.*)$/);
+  if (!match) {
+    problems.push('Header must look like <type>(<scope>): <subject>');
+  } else {
+    const [, type, scopePart, rest] = match;
+    if (type !== type.toLowerCase()) problems.push(`Type "${type}" must be lower-case`);
+    if (!types.includes(type)) problems.push(`Type "${type}" must be one of: ${types.join(', ')}`);
+    if (scopePart && !new RegExp(`^\\(${scope}\\)$`).test(scopePart)) problems.push(`Scope ${scopePart} must match ${scope}`);
+    const subject = rest.slice(1);
+    if (!/^ \S/.test(rest)) {
+      problems.push('Subject must follow ": " and not be empty');
+    } else {
+      if (subject.endsWith('.')) problems.push('Subject must not end with a full stop');
+      const forbidden = (subjectCase || []).filter(name => isInCase(subject, name));
+      if (forbidden.length > 0) problems.push(`Subject must not be ${forbidden.join(' or ')}`);
+    }
+  }
+  if (headerMaxLength !== null && header.length > headerMaxLength) {
+    problems.push(`Header must be at most ${headerMaxLength} characters, not ${header.length}`);
+  }
+  return problems;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Conventions file
+// ─────────────────────────────────────────────────────────────────────────────
+
+function readText(root, file) {
+  const target = path.join(root, file);
+  return fs.existsSync(target) ? fs.readFileSync(target, 'utf8') : null;
+}
+
+/**
+ * Reads the conventions out of the workflows. Throws when a workflow is
+ * missing or no longer contains the pattern it is expected to.
+ */
+function extractConventions({ root = '.' } = {}) {
+  const branchText = readText(root, BRANCH_WORKFLOW);
+  const commitText = readText(root, COMMIT_WORKFLOW);
+  if (branchText === null) throw new Error(`${BRANCH_WORKFLOW} not found`);
+  if (commitText === null) throw new Error(`${COMMIT_WORKFLOW} not found`);
+
+  const branchMatch = branchText.match(/VALID_PATTERN="\^\(([^)]*)\)\\\/(.+)\$"/);
+  if (!branchMatch) throw new Error(`No VALID_PATTERN="^(<types>)\\/<description>$" line in ${BRANCH_WORKFLOW}`);
+
+  const ignoreMatch = branchText.match(/^\s*branches-ignore:\s*\n((?:\s+-\s*.+\n?)+)/m);
+  const exempt = ignoreMatch
+    ? ignoreMatch[1].split('\n').map(line => line.replace(/^\s*-\s*/, '').replace(/^['"]|['"]$/g, '').trim()).filter(Boolean)
+    : [];
+
+  const enumMatch = commitText.match(/'type-enum':\s*\[\s*\d+\s*,\s*'always'\s*,\s*\[([^\]]*)\]/);
+  if (!enumMatch) throw new Error(`No commitlint 'type-enum' rule in ${COMMIT_WORKFLOW}`);
+  const commitTypes = [...enumMatch[1].matchAll(/['"]([^'"]+)['"]/g)].map(m => m[1]);
+  // A rule given only as a level ([2]) or without a usable length keeps the default
+  const headerRule = commitText.match(/'header-max-length':\s*\[\s*(\d+)\s*(?:,\s*'always'\s*(?:,\s*([^\],\s]+)\s*)?)?\]/);
+  const headerLength = headerRule && /^\d+$/.test(headerRule[2] || '') ? Number(headerRule[2]) : DEFAULT_HEADER_MAX_LENGTH;
+  const caseRule = commitText.match(/'subject-case':\s*\[\s*(\d+)\s*(?:,\s*'(always|never)'\s*,\s*\[([^\]]*)\]\s*)?\]/);
+  if (caseRule && caseRule[1] !== '0' && caseRule[2] !== 'never') {
+    throw new Error(`Only 'never' subject-case rules are supported in ${COMMIT_WORKFLOW}`);
+  }
+
+  // The PR title check uses the same header rules; take scope and length from it
+  const prMatch = (readText(root, PR_WORKFLOW) || '').match(/VALID_PATTERN="\^\([^)]*\)\(\\\((.+?)\\\)\)\?!\?: \.\{1,(\d+)\}\$"/);
+
+  return {
+    branch: {
+      types: branchMatch[1].split('|'),
+      description: branchMatch[2],
+      exempt
+    },
+    commit: {
+      types: commitTypes,
+      scope: prMatch ? prMatch[1] : DEFAULT_SCOPE,
+      subjectMaxLength: prMatch ? Number(prMatch[2]) : DEFAULT_SUBJECT_MAX_LENGTH,
+      headerMaxLength: headerRule && headerRule[1] === '0' ? null : headerLength,
+      subjectCase: !caseRule ? DEFAULT_SUBJECT_CASE : caseRule[1] === '0' ? null : [...caseRule[3].matchAll(/['"]([^'"]+)['"]/g)].map(m => m[1])
+    }
+  };
+}
+
+function validateConventions(conventions) {
+  const problems = [];
+  const { branch, commit } = conventions || {};
+  const isList = value => Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string' && /^[\w.-]+$/.test(item));
+  if (!branch || !isList(branch.types)) problems.push('branch.types must be a non-empty list of words');
+  if (!branch || typeof branch.description !== 'string') problems.push('branch.description must be a regex string');
+  if (!branch || !Array.isArray(branch.exempt)) problems.push('branch.exempt must be a list');
+  if (!commit || !isList(commit.types)) problems.push('commit.types must be a non-empty list of words');
+  if (!commit || typeof commit.scope !== 'string') problems.push('commit.scope must be a regex string');
+  if (!commit || !Number.isInteger(commit.subjectMaxLength) || commit.subjectMaxLength < 1) {
+    problems.push('commit.subjectMaxLength must be a positive integer');
+  }
+  if (commit && commit.headerMaxLength != null && (!Number.isInteger(commit.headerMaxLength) || commit.headerMaxLength < 1)) {
+    problems.push('commit.headerMaxLength must be a positive integer or null');
+  }
+  if (commit && commit.subjectCase != null && !(Array.isArray(commit.subjectCase) && commit.subjectCase.every(name => SUBJECT_CASES.includes(name)))) {
+    problems.push(`commit.subjectCase must be null or a list of: ${SUBJECT_CASES.join(', ')}`);
+  }
+  if (problems.length === 0) {
+    for (const pattern of [branchPattern(conventions), commitPattern(conventions)]) {
+      try {
+        new RegExp(pattern);
+      } catch (e) {
+        problems.push(e.message);
+      }
+    }
+  }
+  return problems;
+}
+
+function readConventions({ root = '.' } = {}) {
+  const text = readText(root, CONVENTIONS_PATH);
+  if (text === null) return null;
+  const conventions = JSON.parse(text);
+  const problems = validateConventions(conventions);
+  if (problems.length > 0) throw new Error(`${CONVENTIONS_PATH} is invalid:\n  - ${problems.join('\n  - ')}`);
+  return conventions;
+}
+
+function writeConventions(conventions, { root = '.' } = {}) {
+  const target = path.join(root, CONVENTIONS_PATH);
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.writeFileSync(target, JSON.stringify(conventions, null, 2) + '\n');
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Keeping workflows and config.yml in sync
+// ─────────────────────────────────────────────────────────────────────────────
+
+function replaceList(text, pattern, items, quote) {
+  return text.replace(pattern, (all, head, body, tail) => {
+    const indent = (body.match(/\n([ \t]*)\S/) || [null, ''])[1];
+    const closing = (body.match(/\n([ \t]*)$/) || [null, ''])[1];
+    return `${head}\n${items.map(item => `${indent}${quote(item)}`).join(`,\n`)}\n${closing}${tail}`;
+  });
+}
+
+// commitlint rules kept in step with the conventions. A rule missing from
+// the workflow is only added when the conventions differ from its default.
+const COMMITLINT_RULES = [
+  {
+    name: 'header-max-length',
+    key: 'headerMaxLength',
+    fallback: DEFAULT_HEADER_MAX_LENGTH,
+    render: value => (value === null ? '[0]' : `[2, 'always', ${value}]`)
+  },
+  {
+    name: 'subject-case',
+    key: 'subjectCase',
+    fallback: DEFAULT_SUBJECT_CASE,
+    render: value => (value === null ? '[0]' : `[2, 'never', [${value.map(name => `'${name}'`).join(', ')}]]`)
+  }
+];
+
+function syncRule(text, { name, key, fallback, render }, commit) {
+  if (commit[key] === undefined) return text;
+  const rule = `'${name}': ${render(commit[key])}`;
+  const existing = new RegExp(`'${name}':\\s*\\[(?:[^\\[\\]]|\\[[^\\]]*\\])*\\]`);
+  if (existing.test(text)) return text.replace(existing, rule);
+  if (JSON.stringify(commit[key]) === JSON.stringify(fallback)) return text;
+  return text.replace(/^([ \t]*)('type-enum':\s*\[\s*\d+\s*,\s*'always'\s*,\s*\[[^\]]*\]\s*\])/m, (all, indent, block) => `${indent}${block},\n${indent}${rule}`);
+}
+
+const SYNC_TARGETS = [
+  {
+    file: BRANCH_WORKFLOW,
+    update: (text, conventions) => {
+      let next = text.replace(/(VALID_PATTERN=")[^"\n]*(")/, (all, head, tail) => head + branchPattern(conventions) + tail);
+      next = next.replace(/^([ \t]*branches-ignore:[ \t]*\n)((?:[ \t]+-[ \t]*.+\n?)+)/m, (all, head, body) => {
+        const indent = body.match(/^([ \t]+)-/)[1];
+        const exempt = conventions.branch.exempt.map(name => `${indent}- ${name}\n`).join('');
+        return head + (body.endsWith('\n') ? exempt : exempt.replace(/\n$/, ''));
+      });
+      return next;
+    }
+  },
+  {
+    file: COMMIT_WORKFLOW,
+    update: (text, conventions) => {
+      const pattern = /('type-enum':\s*\[\s*\d+\s*,\s*'always'\s*,\s*\[)([^\]]*)(\])/;
+      const next = replaceList(text, pattern, conventions.commit.types, type => `'${type}'`);
+      return COMMITLINT_RULES.reduce((result, rule) => syncRule(result, rule, conventions.commit), next);
+    }
+  },
+  {
+    file: PR_WORKFLOW,
+    update: (text, conventions) => text
+      .replace(/(VALID_PATTERN=")[^"\n]*(")/, (all, head, tail) => head + commitPattern(conventions) + tail)
+      .replace(/^([ \t]*# Types: ).*$/m, (all, head) => head + conventions.commit.types.join(', '))
+  },
+  {
+    file: CONFIG_PATH,
+    update: (text, conventions) => {
+      const quote = value => `'${value.replace(/'/g, "''")}'`;
+      return text
+        .replace(/^([ \t]*branch_naming:[ \t]*).*$/m, (all, head) => head + quote(branchPattern(conventions)))
+        .replace(/^([ \t]*commit_format:[ \t]*).*$/m, (all, head) => head + quote(commitPattern(conventions)));
+    }
+  }
+];
+
+/**
+ * Rewrites the workflows and config.yml to match the conventions. Files that
+ * do not exist are reported as "missing" and left alone. Returns
+ * [{ file, action: updated | unchanged | missing }].
+ */
+function syncFiles(conventions, { root = '.', dryRun = false } = {}) {
+  return SYNC_TARGETS.map(({ file, update }) => {
+    const text = readText(root, file);
+    if (text === null) return { file, action: 'missing' };
+    const next = update(text, conventions);
+    if (next === text) return { file, action: 'unchanged' };
+    if (!dryRun) fs.writeFileSync(path.join(root, file), next);
+    return { file, action: 'updated' };
+  });
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Hooks
+// ─────────────────────────────────────────────────────────────────────────────
+
+const CHECK_SOURCE = [branchPattern, commitPattern, checkBranchName, isInCase, checkCommitMessage].map(fn => fn.toString()).join('\n\n');
+
+function hookHeader(conventions) {
+  return `#!/usr/bin/env node
+// ${HOOK_MARKER} from ${CONVENTIONS_PATH}.
+// Edit that file and re-run \`node setup-pm.js git-hooks\` instead of this one.
+
+const CONVENTIONS = ${JSON.stringify(conventions, null, 2)};
+
+${CHECK_SOURCE}
+`;
+}
+
+const HOOK_BODIES = {
+  'commit-msg': `
+const fs = require('fs');
+
+const problems = checkCommitMessage(fs.readFileSync(process.argv[2], 'utf8'), CONVENTIONS);
+if (problems.length > 0) {
+  console.error('✗ Commit message does not follow the project conventions:');
+  for (const problem of problems) console.error(\`  - \${problem}\`);
+  console.error('  Example: feat(auth): add password reset');
+  process.exit(1);
+}
+`,
+  'pre-push': `
+const { execFileSync } = require('child_process');
+
+const ZERO = /^0+$/;
+
+function git(args) {
+  return execFileSync('git', args, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] });
+}
+
+function commitsToPush(localSha, remoteSha) {
+  const range = ZERO.test(remoteSha) ? [localSha, '--not', '--remotes'] : [\`\${remoteSha}..\${localSha}\`];
+  try {
+    return git(['log', '--format=%h%x00%B%x1e', ...range]).split('\\x1e').filter(entry => entry.trim());
+  } catch (e) {
+    // The remote tip is unknown locally (e.g. not fetched); fall back
+    return git(['log', '--format=%h%x00%B%x1e', localSha, '--not', '--remotes']).split('\\x1e').filter(entry => entry.trim());
+  }
+}
+
+let input = '';
+process.stdin.on('data', chunk => {
+  input += chunk;
+});
+process.stdin.on('end', () => {
+  const problems = [];
+  for (const line of input.split('\\n').filter(Boolean)) {
+    const [, localSha, remoteRef, remoteSha] = line.split(' ');
+    if (ZERO.test(localSha) || !remoteRef.startsWith('refs/heads/')) continue;
+
+    const branchProblem = checkBranchName(remoteRef.slice('refs/heads/'.length), CONVENTIONS);
+    if (branchProblem) problems.push(branchProblem);
+
+    for (const entry of commitsToPush(localSha, remoteSha)) {
+      const [sha, message] = entry.replace(/^\\n/, '').split('\\0');
+      for (const problem of checkCommitMessage(message, CONVENTIONS)) problems.push(\`\${sha}: \${problem}\`);
+    }
+  }
+
+  if (problems.length > 0) {
+    console.error('✗ Push rejected; CI would fail on:');
+    for (const problem of problems) console.error(\`  - \${problem}\`);
+    console.error('  Rename the branch or reword the commits (git rebase -i), then push again.');
+    process.exit(1);
+  }
+});
+`
+};
+
+function renderHook(name, conventions) {
+  return hookHeader(conventions) + HOOK_BODIES[name];
+}
+
+function hooksDir(root) {
+  const dir = execFileSync('git', ['rev-parse', '--git-path', 'hooks'], { cwd: root, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] }).trim();
+  const resolved = path.resolve(root, dir);
+  if (fs.existsSync(resolved) && !fs.statSync(resolved).isDirectory()) {
+    throw new Error(`Git hooks path ${resolved} is not a directory; check core.hooksPath`);
+  }
+  return resolved;
+}
+
+/**
+ * Writes the commit-msg and pre-push hooks. A hook that exists but was not
+ * generated by setup-pm is left alone unless `force` is set. Returns
+ * [{ hook, path, action: installed | updated | unchanged | skipped }].
+ */
+function installHooks(conventions, { root = '.', force = false, dryRun = false } = {}) {
+  const dir = hooksDir(root);
+  return HOOKS.map(hook => {
+    const target = path.join(dir, hook);
+    const content = renderHook(hook, conventions);
+    const existing = fs.existsSync(target) ? fs.readFileSync(target, 'utf8') : null;
+    const result = { hook, path: path.relative(root, target) || target };
+
+    if (existing === content) return Object.assign(result, { action: 'unchanged' });
+    if (existing !== null && !existing.includes(HOOK_MARKER) && !force) return Object.assign(result, { action: 'skipped' });
+    if (!dryRun) {
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(target, content, { mode: 0o755 });
+      fs.chmodSync(target, 0o755);
+    }
+    return Object.assign(result, { action: existing === null ? 'installed' : 'updated' });
+  });
+}
+
+/**
+ * Loads .claude/git-conventions.json, extracting it from the workflows first
+ * if it does not exist yet (or always, with `extract`). Returns
+ * { conventions, extracted }.
+ */
+function loadConventions({ root = '.', dryRun = false, extract = false } = {}) {
+  const existing = extract ? null : readConventions({ root });
+  if (existing) return { conventions: existing, extracted: false };
+  const conventions = extractConventions({ root });
+  if (!dryRun) writeConventions(conventions, { root });
+  return { conventions, extracted: true };
+}
+
+module.exports = {
+  CONVENTIONS_PATH,
+  HOOKS,
+  branchPattern,
+  checkBranchName,
+  checkCommitMessage,
+  commitPattern,
+  extractConventions,
+  installHooks,
+  loadConventions,
+  readConventions,
+  renderHook,
+  syncFiles,
+  validateConventions,
+  writeConventions
+};
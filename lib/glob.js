@@ -0,0 +1,56 @@
+/**
+ * Glob matching for workflow branch/path filters and file lists.
+ *
+ *   *   any run of characters except "/"
+ *   **  any run of characters, including "/"
+ *   ?   one character except "/"
+ *
+ * By default a pattern without a "/" also matches against the basename, the
+ * way .gitignore-style lists such as protected-files.txt are written. Pass
+ * { matchBase: false } for names that must match whole, like branch filters.
+ */
+
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === '*') {
+      if (pattern[i + 1] === '*') {
+        i++;
+        if (pattern[i + 1] === '/') {
+          i++;
+          source += '(?:.*/)?';
+        } else {
+          source += '.*';
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else {
+      source += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function matchGlob(pattern, file, { matchBase = true } = {}) {
+  const normalized = file.replace(/\\/g, '/').replace(/^\.\//, '');
+  const clean = pattern.replace(/^\.\//, '').replace(/\/$/, '/**');
+  if (globToRegExp(clean).test(normalized)) return true;
+  if (matchBase && !clean.includes('/')) {
+    return globToRegExp(clean).test(normalized.split('/').pop());
+  }
+  return false;
+}
+
+function matchAny(patterns, file, options) {
+  return patterns.find(pattern => matchGlob(pattern, file, options)) || null;
+}
+
+module.exports = {
+  globToRegExp,
+  matchAny,
+  matchGlob
+};
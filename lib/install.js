@@ -0,0 +1,214 @@
+/**
+ * Installs FRAMEWORK_FILES from a source into the current project and
+ * records what was written in .claude/pm-state/manifest.json.
+ *
+ * Alongside the manifest, framework.lock.json pins the framework version and
+ * the hash of every pristine framework file, and pm-state/base/ keeps a copy
+ * of each one so `setup-pm upgrade` can three-way merge local edits later.
+ *
+ * Existing files are never overwritten silently. When a destination already
+ * exists with different content the conflict policy decides what happens:
+ *   skip   - leave the local file alone
+ *   backup - move the local file to <file>.bak (or .bak.N) and install
+ *   force  - overwrite the local file
+ *   ask    - prompt per file (interactive terminals only)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const { readFirst } = require('./source');
+
+const MANIFEST_PATH = '.claude/pm-state/manifest.json';
+const LOCKFILE_PATH = '.claude/pm-state/framework.lock.json';
+const BASE_DIR = '.claude/pm-state/base';
+const CONFLICT_POLICIES = ['ask', 'skip', 'backup', 'force'];
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function readManifest(root = '.') {
+  const file = path.join(root, MANIFEST_PATH);
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function writeManifest(manifest, root = '.') {
+  const file = path.join(root, MANIFEST_PATH);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + '\n');
+}
+
+function readLockfile(root = '.') {
+  const file = path.join(root, LOCKFILE_PATH);
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function writeLockfile(lockfile, root = '.') {
+  const file = path.join(root, LOCKFILE_PATH);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(lockfile, null, 2) + '\n');
+}
+
+function readBase(dest, root = '.') {
+  const file = path.join(root, BASE_DIR, dest);
+  return fs.existsSync(file) ? fs.readFileSync(file) : null;
+}
+
+function writeBase(dest, data, root = '.') {
+  const file = path.join(root, BASE_DIR, dest);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, data);
+}
+
+/**
+ * Works out the version of the framework a source holds: a VERSION file,
+ * else the "version" in its package.json, else a digest of the file hashes
+ * so two different snapshots never share a version.
+ */
+async function resolveFrameworkVersion(src, hashes) {
+  const versionFile = await src.read('VERSION');
+  if (versionFile) return versionFile.toString('utf8').trim();
+
+  const pkg = await src.read('package.json');
+  if (pkg) {
+    try {
+      const { version } = JSON.parse(pkg.toString('utf8'));
+      if (version) return version;
+    } catch (e) {
+      // Fall through to the content digest
+    }
+  }
+
+  const digest = sha256(Object.keys(hashes).sort().map(dest => `${dest}:${hashes[dest]}`).join('\n'));
+  return `sha256-${digest.slice(0, 12)}`;
+}
+
+function backupPath(file) {
+  let candidate = `${file}.bak`;
+  for (let n = 1; fs.existsSync(candidate); n++) {
+    candidate = `${file}.bak.${n}`;
+  }
+  return candidate;
+}
+
+function createPrompter() {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  let sticky = null;
+
+  return {
+    async resolve(dest) {
+      if (sticky) return sticky;
+      const answer = await new Promise(resolve => {
+        rl.question(`   ? ${dest} has local changes. [s]kip, [b]ackup, [f]orce (capital = all): `, resolve);
+      });
+      const choice = { s: 'skip', b: 'backup', f: 'force' }[answer.trim().toLowerCase()[0]] || 'skip';
+      if (/^[SBF]/.test(answer.trim())) sticky = choice;
+      return choice;
+    },
+    close() {
+      rl.close();
+    }
+  };
+}
+
+/**
+ * Copies every entry of `files` (dest -> source path) from `src`. The
+ * `profile` it was installed with is recorded so upgrades use the same one,
+ * along with `profileFile`, the manifest path of a profile that is not
+ * built in, so a team profile resolves even when it is not registered.
+ *
+ * Returns { manifest, results, version } where results lists one
+ * { dest, action } per file; action is one of installed, unchanged,
+ * skipped, backed-up, forced or missing.
+ */
+async function installFiles(src, files, { onConflict = 'skip', root = '.', profile, profileFile = null, log = console.log } = {}) {
+  if (!CONFLICT_POLICIES.includes(onConflict)) {
+    throw new Error(`Unknown conflict policy "${onConflict}" (expected ${CONFLICT_POLICIES.join(', ')})`);
+  }
+
+  const prompter = onConflict === 'ask' ? createPrompter() : null;
+  const manifest = {
+    source: src.label,
+    profile,
+    installedAt: new Date().toISOString(),
+    files: {}
+  };
+  const results = [];
+
+  try {
+    for (const [dest, sourcePath] of Object.entries(files)) {
+      const found = await readFirst(src, [sourcePath, dest]);
+      if (!found) {
+        // Recorded so doctor reports the gap instead of a healthy install
+        manifest.files[dest] = { source: sourcePath, sha256: null, action: 'missing' };
+        results.push({ dest, action: 'missing' });
+        log(`   ✗ ${dest} (not found in source)`);
+        continue;
+      }
+
+      const target = path.join(root, dest);
+      const hash = sha256(found.data);
+      let action = 'installed';
+
+      if (fs.existsSync(target)) {
+        if (sha256(fs.readFileSync(target)) === hash) {
+          action = 'unchanged';
+        } else {
+          const policy = prompter ? await prompter.resolve(dest) : onConflict;
+          if (policy === 'skip') {
+            action = 'skipped';
+          } else if (policy === 'backup') {
+            const backup = backupPath(target);
+            fs.renameSync(target, backup);
+            action = 'backed-up';
+            log(`   ↳ Saved local ${dest} as ${path.relative(root, backup)}`);
+          } else {
+            action = 'forced';
+          }
+        }
+      }
+
+      if (action === 'installed' || action === 'backed-up' || action === 'forced') {
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, found.data);
+      }
+
+      writeBase(dest, found.data, root);
+      manifest.files[dest] = { source: found.path, sha256: hash, action };
+      results.push({ dest, action });
+      log(`   ${action === 'skipped' ? '-' : '✓'} ${dest} (${action})`);
+    }
+  } finally {
+    if (prompter) prompter.close();
+  }
+
+  const hashes = {};
+  for (const [dest, entry] of Object.entries(manifest.files)) {
+    if (entry.sha256) hashes[dest] = entry.sha256;
+  }
+  const version = await resolveFrameworkVersion(src, hashes);
+
+  writeManifest(manifest, root);
+  writeLockfile({ frameworkVersion: version, profile, profileFile, source: src.label, lockedAt: manifest.installedAt, files: hashes }, root);
+  return { manifest, results, version };
+}
+
+module.exports = {
+  BASE_DIR,
+  CONFLICT_POLICIES,
+  LOCKFILE_PATH,
+  MANIFEST_PATH,
+  installFiles,
+  readBase,
+  readLockfile,
+  readManifest,
+  resolveFrameworkVersion,
+  sha256,
+  writeBase,
+  writeLockfile,
+  writeManifest
+};
@@ -0,0 +1,120 @@
+/**
+ * Line-based three-way merge (diff3).
+ *
+ * Given the framework version a file was installed from (base), the
+ * project's copy (local) and the new framework release (incoming), produce
+ * a merged text. Hunks changed on only one side are applied; hunks changed
+ * differently on both sides become conflicts wrapped in git-style markers.
+ */
+
+function splitLines(text) {
+  return text === '' ? [] : text.split(/(?<=\n)/);
+}
+
+/**
+ * Longest common subsequence of two line arrays, returned as an array that
+ * maps every index of `a` to its matching index in `b` (or -1).
+ */
+function matchLines(a, b) {
+  const matches = new Array(a.length).fill(-1);
+
+  // Trim the common prefix and suffix so the DP table stays small for the
+  // usual case of a few edited hunks in a long file.
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    matches[start] = start;
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+    matches[endA] = endB;
+  }
+
+  const rows = endA - start;
+  const cols = endB - start;
+  const table = Array.from({ length: rows + 1 }, () => new Int32Array(cols + 1));
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      table[i][j] = a[start + i] === b[start + j]
+        ? table[i + 1][j + 1] + 1
+        : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < rows && j < cols) {
+    if (a[start + i] === b[start + j]) {
+      matches[start + i] = start + j;
+      i++;
+      j++;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  return matches;
+}
+
+function sameLines(x, y) {
+  return x.length === y.length && x.every((line, i) => line === y[i]);
+}
+
+function withNewline(lines) {
+  const last = lines[lines.length - 1];
+  return last !== undefined && !last.endsWith('\n') ? [...lines.slice(0, -1), `${last}\n`] : lines;
+}
+
+/**
+ * Merges three texts. Returns { text, conflicts } where conflicts is the
+ * number of conflicting hunks left in `text` between markers.
+ */
+function merge3(base, local, incoming, { localLabel = 'local', incomingLabel = 'framework' } = {}) {
+  const o = splitLines(base);
+  const a = splitLines(local);
+  const b = splitLines(incoming);
+  const toA = matchLines(o, a);
+  const toB = matchLines(o, b);
+
+  const out = [];
+  let conflicts = 0;
+  let i = 0;
+  let j = 0;
+  let k = 0;
+
+  const flush = (oEnd, aEnd, bEnd) => {
+    const oChunk = o.slice(i, oEnd);
+    const aChunk = a.slice(j, aEnd);
+    const bChunk = b.slice(k, bEnd);
+    if (sameLines(aChunk, oChunk)) {
+      out.push(...bChunk);
+    } else if (sameLines(bChunk, oChunk) || sameLines(aChunk, bChunk)) {
+      out.push(...aChunk);
+    } else {
+      conflicts++;
+      out.push(`<<<<<<< ${localLabel}\n`, ...withNewline(aChunk), '=======\n', ...withNewline(bChunk), `>>>>>>> ${incomingLabel}\n`);
+    }
+  };
+
+  for (let t = 0; t < o.length; t++) {
+    // A base line kept by both sides is a stable anchor between hunks.
+    if (toA[t] < j || toB[t] < k) continue;
+    flush(t, toA[t], toB[t]);
+    out.push(o[t]);
+    i = t + 1;
+    j = toA[t] + 1;
+    k = toB[t] + 1;
+  }
+  flush(o.length, a.length, b.length);
+
+  return { text: out.join(''), conflicts };
+}
+
+module.exports = {
+  merge3
+};
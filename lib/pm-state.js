@@ -0,0 +1,569 @@
+/**
+ * PM state files: schemas, validation, seeding and migrations.
+ *
+ * This module is installed as .claude/lib/pm-state.js so hooks can share it:
+ *
+ *   const { readState, writeState } = require('../lib/pm-state');
+ *   const state = readState('project-state.json');
+ *
+ * It has no dependencies outside Node's standard library. Every state file
+ * carries a top-level "schemaVersion". Files written before versioning
+ * (version 0: bare arrays or ad-hoc objects) are upgraded by migrate().
+ *
+ * The audit log is not a state file. audit-log.jsonl holds one entry per
+ * line, appended so concurrent hooks never rewrite each other's entries:
+ *
+ *   {"timestamp":"…","action":"policy","tool":"Edit","files":["src/app.js"],
+ *    "session":"…","decision":"allow","rule":null,"reason":null}
+ *
+ * It has no schemaVersion and is created by the first append; AUDIT_ENTRY
+ * is the shape of a line. The file rotates to audit-log.1.jsonl …
+ * audit-log.5.jsonl once it passes 1 MB. migrateAuditLog() moves the
+ * entries of the audit-log.json older installs seeded into it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const STATE_DIR = '.claude/pm-state';
+const SCHEMA_VERSION = 1;
+const PHASES = ['PLAN', 'DESIGN', 'IMPLEMENT', 'TEST', 'REVIEW', 'DEPLOY'];
+const AUDIT_LOG = 'audit-log.jsonl';
+const LEGACY_AUDIT_LOG = 'audit-log.json';
+const AUDIT_MAX_BYTES = 1024 * 1024;
+const AUDIT_ROTATIONS = 5;
+
+class StateError extends Error {
+  constructor(file, problems) {
+    super(`${file} is invalid:\n  - ${problems.join('\n  - ')}`);
+    this.name = 'StateError';
+    this.file = file;
+    this.problems = problems;
+  }
+}
+
+const nullableString = { type: ['string', 'null'] };
+const timestamp = { type: 'string', format: 'date-time' };
+const nullableTimestamp = { type: ['string', 'null'], format: 'date-time' };
+
+const SCHEMAS = {
+  'project-state.json': {
+    type: 'object',
+    required: ['schemaVersion', 'status', 'currentPhase', 'phases'],
+    properties: {
+      schemaVersion: { type: 'integer', minimum: 1 },
+      project: nullableString,
+      mission: nullableString,
+      status: { enum: ['not-started', 'in-progress', 'blocked', 'complete'] },
+      currentPhase: { enum: [...PHASES, null] },
+      phases: {
+        type: 'object',
+        values: {
+          type: 'object',
+          required: ['status'],
+          properties: {
+            status: { enum: ['pending', 'in-progress', 'complete', 'skipped'] },
+            startedAt: nullableTimestamp,
+            completedAt: nullableTimestamp
+          }
+        }
+      },
+      lastCheckpoint: nullableTimestamp,
+      lastTestRun: {
+        type: ['object', 'null'],
+        required: ['status', 'at'],
+        properties: {
+          status: { enum: ['passed', 'failed'] },
+          command: nullableString,
+          at: timestamp,
+          head: nullableString
+        }
+      },
+      updatedAt: nullableTimestamp
+    }
+  },
+  'task-tracker.json': {
+    type: 'object',
+    required: ['schemaVersion', 'tasks'],
+    properties: {
+      schemaVersion: { type: 'integer', minimum: 1 },
+      tasks: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['id', 'title', 'status'],
+          properties: {
+            id: { type: 'string' },
+            title: { type: 'string' },
+            phase: { enum: [...PHASES, null] },
+            status: { enum: ['pending', 'in-progress', 'blocked', 'done'] },
+            agent: nullableString,
+            createdAt: nullableTimestamp,
+            completedAt: nullableTimestamp
+          }
+        }
+      }
+    }
+  },
+  'decisions.json': {
+    type: 'object',
+    required: ['schemaVersion', 'decisions'],
+    properties: {
+      schemaVersion: { type: 'integer', minimum: 1 },
+      decisions: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['id', 'title', 'decision'],
+          properties: {
+            id: { type: 'string' },
+            title: { type: 'string' },
+            status: { enum: ['proposed', 'accepted', 'superseded', 'rejected'] },
+            context: nullableString,
+            decision: { type: 'string' },
+            consequences: nullableString,
+            date: nullableTimestamp
+          }
+        }
+      }
+    }
+  },
+  'technical-debt.json': {
+    type: 'object',
+    required: ['schemaVersion', 'items'],
+    properties: {
+      schemaVersion: { type: 'integer', minimum: 1 },
+      items: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['id', 'title', 'status'],
+          properties: {
+            id: { type: 'string' },
+            title: { type: 'string' },
+            reason: nullableString,
+            severity: { enum: ['low', 'medium', 'high', 'critical'] },
+            status: { enum: ['open', 'resolved'] },
+            createdAt: nullableTimestamp
+          }
+        }
+      }
+    }
+  }
+};
+
+const STATE_FILES = Object.keys(SCHEMAS);
+
+// One line of audit-log.jsonl
+const AUDIT_ENTRY = {
+  type: 'object',
+  required: ['timestamp', 'action'],
+  properties: {
+    timestamp,
+    action: { type: 'string' },
+    tool: nullableString,
+    files: { type: 'array', items: { type: 'string' } },
+    agent: nullableString,
+    session: nullableString
+  }
+};
+
+// The array each collection file keeps its records in
+const COLLECTION_KEYS = {
+  'task-tracker.json': 'tasks',
+  'decisions.json': 'decisions',
+  'technical-debt.json': 'items'
+};
+
+// Names pre-versioning files used for those arrays
+const LEGACY_COLLECTION_KEYS = {
+  'task-tracker.json': ['taskList', 'items'],
+  'decisions.json': ['adrs', 'items'],
+  'technical-debt.json': ['debt', 'blockedFeatures', 'blocked']
+};
+
+const LEGACY_PHASE_STATUSES = { in_progress: 'in-progress', active: 'in-progress', completed: 'complete', done: 'complete', todo: 'pending' };
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function validateNode(schema, value, where, problems) {
+  if (schema.enum && !schema.enum.includes(value)) {
+    problems.push(`${where} must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+    return;
+  }
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    const actual = typeOf(value);
+    if (!types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+      problems.push(`${where} must be ${types.join(' or ')}, got ${actual}`);
+      return;
+    }
+  }
+  if (value === null) return;
+
+  if (schema.format === 'date-time' && typeof value === 'string' && Number.isNaN(Date.parse(value))) {
+    problems.push(`${where} is not a valid ISO-8601 timestamp`);
+  }
+  if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+    problems.push(`${where} must be >= ${schema.minimum}`);
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => validateNode(schema.items, item, `${where}[${i}]`, problems));
+  }
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) problems.push(`${where}.${key} is required`);
+    }
+    for (const [key, child] of Object.entries(schema.properties || {})) {
+      if (key in value) validateNode(child, value[key], `${where}.${key}`, problems);
+    }
+    if (schema.values) {
+      for (const [key, child] of Object.entries(value)) {
+        validateNode(schema.values, child, `${where}.${key}`, problems);
+      }
+    }
+  }
+}
+
+/**
+ * Validates parsed state against its schema. Returns a list of problems
+ * (empty when valid).
+ */
+function validate(file, data) {
+  const schema = SCHEMAS[file];
+  if (!schema) throw new Error(`Unknown state file: ${file}`);
+
+  const problems = [];
+  validateNode(schema, data, '$', problems);
+  if (typeOf(data) === 'object' && Number.isInteger(data.schemaVersion) && data.schemaVersion > SCHEMA_VERSION) {
+    problems.push(`$.schemaVersion ${data.schemaVersion} is newer than this framework supports (${SCHEMA_VERSION})`);
+  }
+  return problems;
+}
+
+function defaultState(file) {
+  switch (file) {
+    case 'project-state.json':
+      return {
+        schemaVersion: SCHEMA_VERSION,
+        project: null,
+        mission: null,
+        status: 'not-started',
+        currentPhase: null,
+        phases: Object.fromEntries(PHASES.map(phase => [phase, { status: 'pending', startedAt: null, completedAt: null }])),
+        lastCheckpoint: null,
+        lastTestRun: null,
+        updatedAt: null
+      };
+    default:
+      if (!COLLECTION_KEYS[file]) throw new Error(`Unknown state file: ${file}`);
+      return { schemaVersion: SCHEMA_VERSION, [COLLECTION_KEYS[file]]: [] };
+  }
+}
+
+// Migrations from version N to N + 1, keyed by N. Records that cannot be
+// upgraded are left out and described in `dropped`.
+const MIGRATIONS = {
+  0(file, data, dropped) {
+    const key = COLLECTION_KEYS[file];
+    if (key) {
+      let records = Array.isArray(data) ? data : null;
+      const source = records ? {} : Object.assign({}, data);
+      if (!records) {
+        const legacy = [key, ...LEGACY_COLLECTION_KEYS[file]].find(k => source[k] !== undefined);
+        records = legacy ? source[legacy] : [];
+        delete source[legacy];
+      }
+      // Some early trackers keyed tasks by id instead of using an array
+      let ids = null;
+      if (records && !Array.isArray(records) && typeof records === 'object') {
+        ids = Object.keys(records);
+        records = Object.values(records);
+      }
+      const upgraded = [];
+      (Array.isArray(records) ? records : []).forEach((record, i) => {
+        const where = ids ? `${key}.${ids[i]}` : `${key}[${i}]`;
+        if (typeOf(record) !== 'object') {
+          dropped.push(`${where} is ${typeOf(record)}, not a record; dropped`);
+          return;
+        }
+        upgraded.push(upgradeRecord(file, ids ? Object.assign({ id: ids[i] }, record) : record, i));
+      });
+      if (records && !Array.isArray(records) && !ids) dropped.push(`${key} is ${typeOf(records)}, not a list; dropped`);
+      return Object.assign(source, { schemaVersion: 1, [key]: upgraded });
+    }
+
+    if (typeOf(data) !== 'object') throw new Error(`${file} must hold a JSON object, not ${typeOf(data)}`);
+    const state = Object.assign(defaultState(file), data, { schemaVersion: 1 });
+    if (data.phase !== undefined && data.currentPhase === undefined) {
+      state.currentPhase = data.phase ? String(data.phase).toUpperCase() : null;
+      delete state.phase;
+    }
+    if (typeof state.currentPhase === 'string') state.currentPhase = state.currentPhase.toUpperCase();
+    if (Array.isArray(data.completedPhases)) {
+      for (const phase of data.completedPhases.map(p => String(p).toUpperCase())) {
+        if (state.phases[phase]) state.phases[phase].status = 'complete';
+      }
+      delete state.completedPhases;
+    }
+    for (const phase of Object.values(state.phases || {})) {
+      if (phase && LEGACY_PHASE_STATUSES[phase.status]) phase.status = LEGACY_PHASE_STATUSES[phase.status];
+    }
+    // Early trackers only recorded the current phase, not its status
+    const current = state.phases && state.phases[state.currentPhase];
+    if (current && current.status === 'pending') current.status = 'in-progress';
+    return state;
+  }
+};
+
+function upgradeRecord(file, record, index) {
+  const now = new Date().toISOString();
+  switch (file) {
+    case 'task-tracker.json':
+      return Object.assign({ id: `T-${index + 1}`, title: record.name || record.description || `Task ${index + 1}` }, record, {
+        status: { completed: 'done', complete: 'done', todo: 'pending', in_progress: 'in-progress' }[record.status] || record.status || 'pending',
+        phase: record.phase ? String(record.phase).toUpperCase() : record.phase === undefined ? null : record.phase
+      });
+    case 'decisions.json':
+      return Object.assign({ id: `ADR-${String(index + 1).padStart(3, '0')}`, title: record.decision || `Decision ${index + 1}` }, record, {
+        decision: record.decision || record.description || record.title || ''
+      });
+    case 'technical-debt.json':
+      return Object.assign({ id: `TD-${index + 1}`, title: record.feature || record.description || `Item ${index + 1}` }, record, {
+        status: record.status === 'resolved' ? 'resolved' : 'open'
+      });
+    default:
+      return record;
+  }
+}
+
+/**
+ * Upgrades parsed state to SCHEMA_VERSION. Returns { data, from, to, dropped }
+ * where dropped describes records that were not records (null, strings, …)
+ * and had to be left out. Does not validate the result.
+ */
+function migrate(file, data) {
+  if (!SCHEMAS[file]) throw new Error(`Unknown state file: ${file}`);
+  const from = data && !Array.isArray(data) && Number.isInteger(data.schemaVersion) ? data.schemaVersion : 0;
+  let current = data === null || data === undefined ? defaultState(file) : data;
+  const dropped = [];
+  for (let version = from; version < SCHEMA_VERSION; version++) {
+    current = MIGRATIONS[version](file, current, dropped);
+  }
+  return { data: current, from, to: Math.max(from, SCHEMA_VERSION), dropped };
+}
+
+function statePath(file, dir) {
+  return path.join(dir || STATE_DIR, file);
+}
+
+/**
+ * Reads and validates a state file. Throws StateError if it is malformed,
+ * out of date or fails its schema, so a half-written file fails loudly
+ * instead of being silently treated as empty.
+ */
+function readState(file, { dir } = {}) {
+  const target = statePath(file, dir);
+  if (!fs.existsSync(target)) return defaultState(file);
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(target, 'utf8'));
+  } catch (e) {
+    throw new StateError(target, [`not valid JSON (${e.message})`]);
+  }
+
+  const problems = validate(file, data);
+  if (problems.length > 0) {
+    if (!data || data.schemaVersion === undefined || data.schemaVersion < SCHEMA_VERSION) {
+      problems.push('run `setup-pm migrate-state` to upgrade it');
+    }
+    throw new StateError(target, problems);
+  }
+  return data;
+}
+
+/**
+ * Validates and writes a state file atomically (write to a temp file, then
+ * rename) so readers never see a partial write.
+ */
+function writeState(file, data, { dir } = {}) {
+  const problems = validate(file, data);
+  const target = statePath(file, dir);
+  if (problems.length > 0) throw new StateError(target, problems);
+
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  const temp = `${target}.${process.pid}.tmp`;
+  fs.writeFileSync(temp, JSON.stringify(data, null, 2) + '\n');
+  fs.renameSync(temp, target);
+}
+
+/**
+ * Creates any missing state files with empty, schema-valid content.
+ * Returns the names of the files it created.
+ */
+function seedState({ dir } = {}) {
+  const created = [];
+  for (const file of STATE_FILES) {
+    if (!fs.existsSync(statePath(file, dir))) {
+      writeState(file, defaultState(file), { dir });
+      created.push(file);
+    }
+  }
+  return created;
+}
+
+/**
+ * Records the outcome of a test run in project-state.json, where the
+ * require_test_pass safeguard looks for it. `head` is the commit the run
+ * tested; a run recorded for another commit counts as stale.
+ */
+function recordTestRun({ passed, command = null, head = null, dir } = {}) {
+  const state = readState('project-state.json', { dir });
+  const now = new Date().toISOString();
+  state.lastTestRun = { status: passed ? 'passed' : 'failed', command, at: now, head };
+  state.updatedAt = now;
+  writeState('project-state.json', state, { dir });
+  return state.lastTestRun;
+}
+
+function auditProblems(entry) {
+  const problems = [];
+  validateNode(AUDIT_ENTRY, entry, '$', problems);
+  return problems;
+}
+
+function rotatedAuditPath(dir, n) {
+  return statePath(AUDIT_LOG.replace(/\.jsonl$/, `.${n}.jsonl`), dir);
+}
+
+function renameIfPresent(from, to) {
+  try {
+    fs.renameSync(from, to);
+  } catch (e) {
+    // Another hook may have rotated the file first
+    if (e.code !== 'ENOENT') throw e;
+  }
+}
+
+/**
+ * Appends one entry to audit-log.jsonl, rotating the file first when it
+ * has grown past AUDIT_MAX_BYTES. Each entry is a single append, so
+ * concurrent writers interleave whole lines.
+ */
+function appendAudit(entry, { dir } = {}) {
+  const problems = auditProblems(entry);
+  const target = statePath(AUDIT_LOG, dir);
+  if (problems.length > 0) throw new StateError(target, problems);
+
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  if (fs.existsSync(target) && fs.statSync(target).size >= AUDIT_MAX_BYTES) {
+    for (let n = AUDIT_ROTATIONS - 1; n >= 1; n--) renameIfPresent(rotatedAuditPath(dir, n), rotatedAuditPath(dir, n + 1));
+    renameIfPresent(target, rotatedAuditPath(dir, 1));
+  }
+  fs.appendFileSync(target, JSON.stringify(entry) + '\n');
+}
+
+function readAuditLines(file) {
+  if (!fs.existsSync(file)) return [];
+  const entries = [];
+  for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (e) {
+      // A line cut short by a crash is skipped, not fatal
+      continue;
+    }
+    // So are lines that are not entries (null, numbers, edited records)
+    if (auditProblems(entry).length === 0) entries.push(entry);
+  }
+  return entries;
+}
+
+/**
+ * Reads audit entries, oldest first: (with `rotated`) the rotated files,
+ * then audit-log.jsonl.
+ */
+function readAudit({ dir, rotated = false } = {}) {
+  const entries = [];
+  if (rotated) {
+    for (let n = AUDIT_ROTATIONS; n >= 1; n--) entries.push(...readAuditLines(rotatedAuditPath(dir, n)));
+  }
+  entries.push(...readAuditLines(statePath(AUDIT_LOG, dir)));
+  return entries;
+}
+
+/**
+ * Moves the entries of a legacy audit-log.json (any version: a bare array,
+ * { operations: [...] }, { schemaVersion: 1, entries: [...] }) to the front
+ * of audit-log.jsonl and renames the old file to audit-log.json.bak.
+ * Returns null when there is no legacy file, else { moved, dropped, backup }.
+ * With `dryRun` nothing is written.
+ */
+function migrateAuditLog({ dir, dryRun = false } = {}) {
+  const legacy = statePath(LEGACY_AUDIT_LOG, dir);
+  if (!fs.existsSync(legacy)) return null;
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(legacy, 'utf8'));
+  } catch (e) {
+    throw new StateError(legacy, [`not valid JSON (${e.message})`]);
+  }
+  const key = data && !Array.isArray(data) ? ['entries', 'operations', 'log', 'logs'].find(k => Array.isArray(data[k])) : null;
+  const records = Array.isArray(data) ? data : key ? data[key] : [];
+  const now = new Date().toISOString();
+  const entries = [];
+  const dropped = [];
+  records.forEach((record, i) => {
+    const entry = typeOf(record) === 'object'
+      ? Object.assign({}, record, {
+        timestamp: record.timestamp || record.time || record.at || now,
+        action: record.action || record.operation || record.tool || 'unknown'
+      })
+      : record;
+    const problems = auditProblems(entry);
+    if (problems.length === 0) entries.push(entry);
+    else dropped.push(`entry ${i + 1}: ${problems[0]}; dropped`);
+  });
+
+  let backup = `${legacy}.bak`;
+  for (let n = 1; fs.existsSync(backup); n++) backup = `${legacy}.${n}.bak`;
+  if (!dryRun) {
+    const target = statePath(AUDIT_LOG, dir);
+    const current = fs.existsSync(target) ? fs.readFileSync(target, 'utf8') : '';
+    const temp = `${target}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, entries.map(entry => JSON.stringify(entry) + '\n').join('') + current);
+    fs.renameSync(temp, target);
+    fs.renameSync(legacy, backup);
+  }
+  return { moved: entries.length, dropped, backup };
+}
+
+module.exports = {
+  AUDIT_LOG,
+  LEGACY_AUDIT_LOG,
+  PHASES,
+  SCHEMA_VERSION,
+  SCHEMAS,
+  STATE_DIR,
+  STATE_FILES,
+  StateError,
+  appendAudit,
+  defaultState,
+  migrate,
+  migrateAuditLog,
+  readAudit,
+  readState,
+  recordTestRun,
+  seedState,
+  validate,
+  writeState
+};
@@ -0,0 +1,407 @@
+/**
+ * Policy engine for the PreToolUse hook.
+ *
+ * Enforces the `safeguards` section of .claude-code/config.yml together with
+ * the glob lists in .claude-code/safeguards/:
+ *
+ *   protect_core_files       deny edits to framework core files and to
+ *                            anything listed in protected-files.txt
+ *   max_files_per_operation  deny once a session has modified more distinct
+ *                            files than this within
+ *                            max_files_window_minutes (default 10); calls
+ *                            without a session id are counted one by one
+ *   require_test_pass        deny `git commit` / `git push` unless the last
+ *                            recorded test run in project-state.json passed
+ *                            and was run against the current HEAD
+ *
+ * `forbidden_patterns` from allowed-patterns.yml are always enforced.
+ * Configuration is collected from the project root and every parent
+ * directory, so a workspace-level config applies to the projects inside it;
+ * the nearest config.yml wins. The project root is $CLAUDE_PROJECT_DIR, else
+ * the git top level around the tool call's cwd, so a session working in a
+ * subdirectory still matches paths such as .claude/hooks/**.
+ *
+ * Installed as .claude/lib/policy.js. A pre-tool-use.js hook only needs:
+ *
+ *   require('../lib/policy').runHook();
+ *
+ * Every decision is appended to .claude/pm-state/audit-log.jsonl (see
+ * lib/pm-state.js for the format). If the check itself fails, tools the
+ * policy governs (file edits and Bash) are denied and the rest are let
+ * through.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { parse } = require('./yaml');
+const { matchAny } = require('./glob');
+const { STATE_DIR, appendAudit, readAudit, readState } = require('./pm-state');
+
+const CORE_FILES = [
+  '.claude/settings.json',
+  '.claude/git-conventions.json',
+  '.claude/hooks/**',
+  '.claude/lib/**',
+  '.claude/pm-state/manifest.json',
+  '.claude/pm-state/framework.lock.json',
+  '.claude/pm-state/base/**',
+  '.claude-code/config.yml',
+  '.claude-code/safeguards/**'
+];
+
+const FILE_TOOLS = {
+  Write: input => [input.file_path],
+  Edit: input => [input.file_path],
+  MultiEdit: input => [input.file_path],
+  NotebookEdit: input => [input.notebook_path]
+};
+
+// Shell commands whose arguments are files they modify
+const MODIFYING_COMMANDS = ['rm', 'mv', 'touch', 'truncate', 'tee', 'chmod', 'chown', 'unlink'];
+
+const DEFAULT_SAFEGUARDS = {
+  protect_core_files: false,
+  max_files_per_operation: null,
+  max_files_window_minutes: 10,
+  require_test_pass: false
+};
+
+const RECORD_TESTS_HINT = 'Record a run with `node .claude/lib/workflow-runner.js` (runs the CI workflows) or `setup-pm test-run -- <test command>`.';
+
+function readList(file) {
+  return fs.readFileSync(file, 'utf8')
+    .split(/\r?\n/)
+    .map(line => line.replace(/^\uFEFF/, '').trim())
+    .filter(line => line && !line.startsWith('#'));
+}
+
+function ancestors(dir) {
+  const dirs = [];
+  for (let current = path.resolve(dir); ; current = path.dirname(current)) {
+    dirs.push(current);
+    if (path.dirname(current) === current) return dirs;
+  }
+}
+
+/**
+ * Loads the effective policy for a project. Returns
+ * { safeguards, protectedPatterns, forbiddenPatterns, sources }.
+ */
+function loadPolicy({ root = '.' } = {}) {
+  const policy = {
+    safeguards: Object.assign({}, DEFAULT_SAFEGUARDS),
+    protectedPatterns: [],
+    forbiddenPatterns: [],
+    sources: []
+  };
+
+  // Walk outermost first so nearer config overrides
+  for (const dir of ancestors(root).reverse()) {
+    const base = path.join(dir, '.claude-code');
+    const configFile = path.join(base, 'config.yml');
+    const protectedFile = path.join(base, 'safeguards/protected-files.txt');
+    const patternsFile = path.join(base, 'safeguards/allowed-patterns.yml');
+
+    if (fs.existsSync(configFile)) {
+      const config = parse(fs.readFileSync(configFile, 'utf8')) || {};
+      Object.assign(policy.safeguards, config.safeguards || {});
+      policy.sources.push(configFile);
+    }
+    if (fs.existsSync(protectedFile)) {
+      policy.protectedPatterns.push(...readList(protectedFile).map(pattern => ({ pattern, source: protectedFile })));
+      policy.sources.push(protectedFile);
+    }
+    if (fs.existsSync(patternsFile)) {
+      const patterns = parse(fs.readFileSync(patternsFile, 'utf8')) || {};
+      policy.forbiddenPatterns.push(...(patterns.forbidden_patterns || []).map(pattern => ({ pattern: String(pattern), source: patternsFile })));
+      policy.sources.push(patternsFile);
+    }
+  }
+
+  return policy;
+}
+
+function splitShellWords(command) {
+  const words = [];
+  const pattern = /"((?:[^"\\]|\\.)*)"|'([^']*)'|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(command))) {
+    words.push(match[1] !== undefined ? match[1] : match[2] !== undefined ? match[2] : match[3]);
+  }
+  return words;
+}
+
+/**
+ * Best-effort list of files a shell command writes to: redirection targets
+ * plus the operands of rm/mv/touch/tee/…, `sed -i` and the destination of
+ * `cp`. It does not try to understand variables or subshells.
+ */
+function shellTargets(command) {
+  const files = [];
+  for (const match of command.matchAll(/(?:^|[^0-9&<>])>{1,2}\s*([^\s;&|<>]+)/g)) files.push(match[1]);
+
+  for (const segment of command.split(/&&|\|\||[;|\n]/)) {
+    const words = splitShellWords(segment.replace(/\d?>{1,2}\s*\S+/g, '').trim());
+    while (words.length > 0 && /^(sudo|command|\w+=\S*)$/.test(words[0])) words.shift();
+    const [program, ...args] = words;
+    const operands = args.filter(arg => !arg.startsWith('-'));
+    if (MODIFYING_COMMANDS.includes(program)) files.push(...operands);
+    else if (program === 'cp' && operands.length > 1) files.push(operands[operands.length - 1]);
+    else if (program === 'sed' && args.some(arg => /^-i/.test(arg) || arg === '--in-place')) files.push(...operands.slice(1));
+  }
+
+  return files.filter(file => file && file !== '/dev/null');
+}
+
+function git(args, cwd) {
+  try {
+    return execFileSync('git', args, { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * The project a tool call belongs to: $CLAUDE_PROJECT_DIR, else the top
+ * level of the git repository around `cwd`, else `cwd` itself.
+ */
+function resolveRoot(cwd = '.') {
+  if (process.env.CLAUDE_PROJECT_DIR) return path.resolve(process.env.CLAUDE_PROJECT_DIR);
+  return git(['rev-parse', '--show-toplevel'], cwd) || path.resolve(cwd);
+}
+
+/**
+ * The commit HEAD points at as { sha, committedAt }, or null outside git.
+ */
+function headCommit(root) {
+  const [sha, committedAt] = git(['log', '-1', '--format=%H %cI'], root).split(' ');
+  return sha ? { sha, committedAt } : null;
+}
+
+// Paths are relative to the project root; relative tool paths start at cwd
+function toProjectPath(file, root, cwd) {
+  const relative = path.relative(path.resolve(root), path.resolve(cwd, file));
+  return relative.split(path.sep).join('/');
+}
+
+function touchedFiles(payload, root, cwd) {
+  const input = payload.tool_input || {};
+  const fromTool = FILE_TOOLS[payload.tool_name];
+  const files = fromTool ? fromTool(input) : payload.tool_name === 'Bash' ? shellTargets(String(input.command || '')) : [];
+  return [...new Set(files.filter(Boolean).map(file => toProjectPath(file, root, cwd)))];
+}
+
+// Tools the policy can deny; everything else is never evaluated or logged
+function isGoverned(payload) {
+  return Boolean(payload && (FILE_TOOLS[payload.tool_name] || payload.tool_name === 'Bash'));
+}
+
+function isGitCommitOrPush(payload) {
+  if (payload.tool_name !== 'Bash') return null;
+  const match = String((payload.tool_input || {}).command || '').match(/(?:^|[;&|(]\s*|\s)git\s+(?:-[cC]\s+\S+\s+)*(commit|push)\b/);
+  return match ? match[1] : null;
+}
+
+function deny(rule, reason, files) {
+  return { decision: 'deny', rule, reason, files };
+}
+
+// A run recorded against another commit, or before HEAD was committed
+function isStale(run, head) {
+  if (!head) return false;
+  if (run.head) return run.head !== head.sha;
+  return Date.parse(run.at) < Date.parse(head.committedAt);
+}
+
+/**
+ * Evaluates one hook payload. `history` is the audit log's entries (used for
+ * max_files_per_operation), `projectState` the parsed project-state.json and
+ * `head` the current commit from headCommit() (both used for
+ * require_test_pass). Relative paths in the payload are resolved against
+ * `cwd`. Returns { decision, rule, reason, files }.
+ */
+function evaluate(payload, policy, { root = '.', cwd = root, history = [], projectState = null, head = null, now = Date.now() } = {}) {
+  const files = touchedFiles(payload, root, cwd);
+  const { safeguards } = policy;
+
+  for (const file of files) {
+    const forbidden = policy.forbiddenPatterns.find(({ pattern }) => matchAny([pattern], file));
+    if (forbidden) {
+      return deny('forbidden_patterns', `${file} matches forbidden pattern "${forbidden.pattern}" (${forbidden.source})`, files);
+    }
+    if (safeguards.protect_core_files) {
+      const core = matchAny(CORE_FILES, file);
+      if (core) return deny('protect_core_files', `${file} is a framework core file (${core})`, files);
+      const listed = policy.protectedPatterns.find(({ pattern }) => matchAny([pattern], file));
+      if (listed) return deny('protect_core_files', `${file} is protected by "${listed.pattern}" (${listed.source})`, files);
+    }
+  }
+
+  const max = Number(safeguards.max_files_per_operation);
+  if (files.length > 0 && max > 0) {
+    const session = payload.session_id || null;
+    const minutes = Number(safeguards.max_files_window_minutes) || 0;
+    const modified = new Set(files);
+    if (session && minutes > 0) {
+      for (const entry of history) {
+        if (entry.action === 'policy' && entry.decision === 'allow' && entry.session === session && now - Date.parse(entry.timestamp) <= minutes * 60000) {
+          (entry.files || []).forEach(file => modified.add(file));
+        }
+      }
+    }
+    if (modified.size > max) {
+      const scope = session && minutes > 0 ? `This session would modify ${modified.size} files within ${minutes} minute(s)` : `This operation would modify ${modified.size} files`;
+      return deny('max_files_per_operation', `${scope}; the limit is ${max}. Split the work into smaller operations.`, files);
+    }
+  }
+
+  const gitAction = isGitCommitOrPush(payload);
+  if (gitAction && safeguards.require_test_pass) {
+    const lastRun = projectState && projectState.lastTestRun;
+    let detail = null;
+    if (!lastRun) detail = 'no test run has been recorded';
+    else if (lastRun.status !== 'passed') detail = `the last test run (${lastRun.at}) failed`;
+    else if (isStale(lastRun, head)) detail = `the last passing run (${lastRun.at}) was for an earlier commit`;
+    if (detail) return deny('require_test_pass', `git ${gitAction} requires passing tests, but ${detail}. ${RECORD_TESTS_HINT}`, files);
+  }
+
+  return { decision: 'allow', rule: null, reason: null, files };
+}
+
+function auditEntry(payload, result) {
+  return {
+    timestamp: new Date().toISOString(),
+    action: 'policy',
+    tool: payload.tool_name || null,
+    files: result.files,
+    session: payload.session_id || null,
+    decision: result.decision,
+    rule: result.rule,
+    reason: result.reason
+  };
+}
+
+/**
+ * Evaluates a payload against the project's policy and appends the decision
+ * to the audit log. Tools the policy does not govern are allowed without
+ * reading the policy, but are logged like every other decision.
+ */
+function decide(payload, { root } = {}) {
+  const cwd = payload.cwd || process.cwd();
+  const projectRoot = root || resolveRoot(cwd);
+  const stateDir = path.join(projectRoot, STATE_DIR);
+  let result = { decision: 'allow', rule: null, reason: null, files: [] };
+
+  if (isGoverned(payload)) {
+    const policy = loadPolicy({ root: projectRoot });
+    const checkTests = Boolean(isGitCommitOrPush(payload) && policy.safeguards.require_test_pass);
+    result = evaluate(payload, policy, {
+      root: projectRoot,
+      cwd,
+      history: policy.safeguards.max_files_per_operation ? readAudit({ dir: stateDir }) : [],
+      projectState: checkTests ? readState('project-state.json', { dir: stateDir }) : null,
+      head: checkTests ? headCommit(projectRoot) : null
+    });
+  }
+
+  appendAudit(auditEntry(payload, result), { dir: stateDir });
+  return result;
+}
+
+/**
+ * Hook entry point: reads the PreToolUse payload from stdin and, on deny,
+ * prints the permission decision Claude Code expects.
+ */
+function runHook({ stdin = process.stdin, stdout = process.stdout, stderr = process.stderr } = {}) {
+  let raw = '';
+  stdin.setEncoding('utf8');
+  stdin.on('data', chunk => {
+    raw += chunk;
+  });
+  stdin.on('end', () => {
+    let payload = null;
+    let result;
+    try {
+      try {
+        payload = JSON.parse(raw);
+      } catch (e) {
+        throw new Error(`could not parse hook input (${e.message})`);
+      }
+      result = decide(payload);
+    } catch (e) {
+      // Fail closed: a broken policy, state file or payload must not
+      // silently allow edits. Tools the policy never restricts go ahead.
+      if (payload && !isGoverned(payload)) {
+        stderr.write(`policy: ${e.message}\n`);
+        return;
+      }
+      result = { decision: 'deny', reason: `Policy check failed: ${e.message}` };
+    }
+
+    if (result.decision === 'deny') {
+      stdout.write(JSON.stringify({
+        hookSpecificOutput: {
+          hookEventName: 'PreToolUse',
+          permissionDecision: 'deny',
+          permissionDecisionReason: result.reason
+        }
+      }) + '\n');
+    }
+  });
+}
+
+/**
+ * Replays recorded payloads against a policy without touching the audit
+ * log. Each record is a hook payload, or { payload, expect } where expect
+ * is "allow" or "deny". Decisions accumulate in an in-memory history so
+ * per-session limits behave as they would live.
+ */
+function replay(records, policy, { root = '.', projectState = null } = {}) {
+  const history = [];
+  return records.map((record, index) => {
+    const payload = record.payload || record;
+    const state = record.projectState !== undefined ? record.projectState : projectState;
+    const result = evaluate(payload, policy, { root, history, projectState: state });
+    history.push(auditEntry(payload, result));
+    const expect = record.expect || null;
+    return Object.assign({ index, tool: payload.tool_name, expect, matched: !expect || expect === result.decision }, result);
+  });
+}
+
+/**
+ * Reads recorded payloads from a .json file (array or single payload), a
+ * .jsonl file, or a directory of such files.
+ */
+function readRecords(target) {
+  if (fs.statSync(target).isDirectory()) {
+    return fs.readdirSync(target)
+      .filter(name => /\.jsonl?$/.test(name))
+      .sort()
+      .flatMap(name => readRecords(path.join(target, name)));
+  }
+  const text = fs.readFileSync(target, 'utf8');
+  if (target.endsWith('.jsonl')) {
+    return text.split(/\r?\n/).filter(line => line.trim()).map((line, i) => {
+      try {
+        return JSON.parse(line);
+      } catch (e) {
+        throw new Error(`${target}:${i + 1}: ${e.message}`);
+      }
+    });
+  }
+  return [].concat(JSON.parse(text));
+}
+
+module.exports = {
+  CORE_FILES,
+  decide,
+  evaluate,
+  headCommit,
+  loadPolicy,
+  readRecords,
+  replay,
+  resolveRoot,
+  runHook,
+  shellTargets
+};
@@ -0,0 +1,258 @@
+/**
+ * Install profiles: declarative manifests describing what setup-pm scaffolds.
+ *
+ * A profile is a JSON manifest:
+ *
+ *   {
+ *     "name": "team",
+ *     "description": "One line shown by `setup-pm profile list`",
+ *     "include": ["pm", { "profile": "feature-development", "into": "features", "exclude": ["README.md"] }],
+ *     "directories": ["docs/adr"],
+ *     "files": { "<project path>": "<path in the source>" },
+ *     "executable": ["scripts/start.sh"],
+ *     "seedState": false,
+ *     "gitHooks": false,
+ *     "nextSteps": ["Printed after a successful install", "..."]
+ *   }
+ *
+ * Included profiles are installed first (optionally under a subdirectory
+ * and minus excluded files), then the profile's own entries, which win on
+ * a clash. seedState seeds .claude/pm-state and gitHooks runs `git init`
+ * and installs the commit-msg/pre-push hooks.
+ *
+ * Built-in profiles live in profiles/ next to setup-pm.js. A team profile is
+ * passed by path or registered once with `setup-pm profile add`, which
+ * records the manifest's location in ~/.claude-pm/profiles.json
+ * ($CLAUDE_PM_HOME overrides the directory). Files of a team profile are
+ * read from the manifest's directory first and the framework source second,
+ * so it can ship its own templates and override individual framework files.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const BUILTIN_DIR = path.join(__dirname, '..', 'profiles');
+const NAME_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const KEYS = ['name', 'description', 'include', 'directories', 'files', 'executable', 'seedState', 'gitHooks', 'nextSteps'];
+
+function registryPath() {
+  return path.join(process.env.CLAUDE_PM_HOME || path.join(os.homedir(), '.claude-pm'), 'profiles.json');
+}
+
+function readRegistry() {
+  const file = registryPath();
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : { profiles: {} };
+}
+
+function writeRegistry(registry) {
+  const file = registryPath();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(registry, null, 2) + '\n');
+}
+
+function builtinNames() {
+  return fs.readdirSync(BUILTIN_DIR).filter(f => f.endsWith('.json')).map(f => f.replace(/\.json$/, '')).sort();
+}
+
+function isSafePath(value) {
+  return typeof value === 'string' && value !== '' && !path.isAbsolute(value) && !value.split(/[\\/]/).includes('..');
+}
+
+/**
+ * Checks a manifest's shape. Returns a list of problems (empty when valid);
+ * included profiles are not resolved here.
+ */
+function validateManifest(manifest) {
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) return ['Manifest must be a JSON object'];
+
+  const problems = [];
+  const stringList = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+  for (const key of Object.keys(manifest)) {
+    if (!KEYS.includes(key)) problems.push(`Unknown key "${key}"`);
+  }
+  if (typeof manifest.name !== 'string' || !NAME_PATTERN.test(manifest.name)) {
+    problems.push('"name" must be lowercase words joined by hyphens');
+  }
+  if (manifest.description !== undefined && typeof manifest.description !== 'string') problems.push('"description" must be a string');
+  if (manifest.files !== undefined) {
+    if (!manifest.files || typeof manifest.files !== 'object' || Array.isArray(manifest.files)) {
+      problems.push('"files" must map project paths to source paths');
+    } else {
+      for (const [dest, source] of Object.entries(manifest.files)) {
+        if (!isSafePath(dest)) problems.push(`"files": ${dest} must be a relative path inside the project`);
+        if (!isSafePath(source)) problems.push(`"files": source for ${dest} must be a relative path`);
+      }
+    }
+  }
+  for (const key of ['directories', 'executable', 'nextSteps']) {
+    if (manifest[key] !== undefined && !stringList(manifest[key])) problems.push(`"${key}" must be a list of strings`);
+  }
+  for (const dir of Array.isArray(manifest.directories) ? manifest.directories : []) {
+    if (!isSafePath(dir)) problems.push(`"directories": ${dir} must be a relative path inside the project`);
+  }
+  for (const key of ['seedState', 'gitHooks']) {
+    if (manifest[key] !== undefined && typeof manifest[key] !== 'boolean') problems.push(`"${key}" must be true or false`);
+  }
+  if (manifest.include !== undefined) {
+    if (!Array.isArray(manifest.include)) {
+      problems.push('"include" must be a list');
+    } else {
+      for (const entry of manifest.include) {
+        const spec = typeof entry === 'string' ? { profile: entry } : entry;
+        if (!spec || typeof spec.profile !== 'string') problems.push('"include" entries must be a profile name or { "profile": ... }');
+        else if (spec.into !== undefined && !isSafePath(spec.into)) problems.push(`"include": into for ${spec.profile} must be a relative path`);
+        else if (spec.exclude !== undefined && !stringList(spec.exclude)) problems.push(`"include": exclude for ${spec.profile} must be a list of paths`);
+      }
+    }
+  }
+  return problems;
+}
+
+function readManifestFile(file) {
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`Profile ${file} is not valid JSON: ${e.message}`);
+  }
+  const problems = validateManifest(manifest);
+  if (problems.length > 0) throw new Error(`Profile ${file} is invalid:\n  - ${problems.join('\n  - ')}`);
+  return manifest;
+}
+
+/**
+ * Finds a profile by name (built-in first, then registered) or by the path
+ * of a manifest file. Returns { manifest, file, builtin }.
+ */
+function findProfile(nameOrPath) {
+  if (/\.json$/.test(nameOrPath) || nameOrPath.includes('/') || nameOrPath.includes(path.sep)) {
+    const file = path.resolve(nameOrPath);
+    if (!fs.existsSync(file)) throw new Error(`Profile manifest ${nameOrPath} not found`);
+    return { manifest: readManifestFile(file), file, builtin: false };
+  }
+
+  const builtinFile = path.join(BUILTIN_DIR, `${nameOrPath}.json`);
+  if (fs.existsSync(builtinFile)) return { manifest: readManifestFile(builtinFile), file: builtinFile, builtin: true };
+
+  const registered = readRegistry().profiles[nameOrPath];
+  if (registered) {
+    if (!fs.existsSync(registered)) {
+      throw new Error(`Profile "${nameOrPath}" is registered at ${registered}, which no longer exists; run \`setup-pm profile remove ${nameOrPath}\``);
+    }
+    return { manifest: readManifestFile(registered), file: registered, builtin: false };
+  }
+
+  const known = [...builtinNames(), ...Object.keys(readRegistry().profiles)];
+  throw new Error(`Unknown profile "${nameOrPath}". Available: ${known.join(', ')}`);
+}
+
+function prefixed(into, value) {
+  return into ? path.posix.join(into, value) : value;
+}
+
+/**
+ * Loads a profile and flattens its includes into
+ * { name, description, file, builtin, directories, files, executable,
+ *   seedState, gitHooks, nextSteps, sourceDirs }, where sourceDirs lists the
+ * directories of non-built-in manifests involved, nearest first.
+ */
+function resolveProfile(nameOrPath, { seen = [] } = {}) {
+  const { manifest, file, builtin } = findProfile(nameOrPath);
+  if (seen.includes(manifest.name)) {
+    throw new Error(`Profile include cycle: ${[...seen, manifest.name].join(' → ')}`);
+  }
+
+  const profile = {
+    name: manifest.name,
+    description: manifest.description || '',
+    file,
+    builtin,
+    directories: [],
+    files: {},
+    executable: [],
+    seedState: false,
+    gitHooks: false,
+    nextSteps: manifest.nextSteps || [],
+    sourceDirs: builtin ? [] : [path.dirname(file)]
+  };
+
+  for (const entry of manifest.include || []) {
+    const spec = typeof entry === 'string' ? { profile: entry } : entry;
+    // Relative manifest paths are relative to the including manifest
+    const target = /\.json$/.test(spec.profile) ? path.resolve(path.dirname(file), spec.profile) : spec.profile;
+    const included = resolveProfile(target, { seen: [...seen, manifest.name] });
+    const exclude = spec.exclude || [];
+
+    profile.directories.push(...included.directories.map(dir => prefixed(spec.into, dir)));
+    for (const [dest, source] of Object.entries(included.files)) {
+      if (!exclude.includes(dest)) profile.files[prefixed(spec.into, dest)] = source;
+    }
+    profile.executable.push(...included.executable.filter(dest => !exclude.includes(dest)).map(dest => prefixed(spec.into, dest)));
+    profile.seedState = profile.seedState || included.seedState;
+    profile.gitHooks = profile.gitHooks || included.gitHooks;
+    if (!manifest.nextSteps) profile.nextSteps = included.nextSteps;
+    profile.sourceDirs.push(...included.sourceDirs.filter(dir => !profile.sourceDirs.includes(dir)));
+  }
+
+  profile.directories.push(...(manifest.directories || []));
+  profile.directories = [...new Set(profile.directories)];
+  Object.assign(profile.files, manifest.files || {});
+  profile.executable = [...new Set([...profile.executable, ...(manifest.executable || [])])];
+  if (manifest.seedState !== undefined) profile.seedState = manifest.seedState;
+  if (manifest.gitHooks !== undefined) profile.gitHooks = manifest.gitHooks;
+  return profile;
+}
+
+/**
+ * Lists built-in and registered profiles as
+ * [{ name, description, file, builtin, error? }].
+ */
+function listProfiles() {
+  const entries = builtinNames().map(name => ({ name, file: path.join(BUILTIN_DIR, `${name}.json`), builtin: true }));
+  for (const [name, file] of Object.entries(readRegistry().profiles)) entries.push({ name, file, builtin: false });
+
+  return entries.map(entry => {
+    try {
+      return Object.assign(entry, { description: readManifestFile(entry.file).description || '' });
+    } catch (e) {
+      return Object.assign(entry, { description: '', error: e.message.split('\n')[0] });
+    }
+  });
+}
+
+/**
+ * Registers a team profile under its manifest name. The manifest must
+ * resolve, includes and all; built-in names cannot be shadowed.
+ */
+function registerProfile(manifestPath) {
+  const file = path.resolve(manifestPath);
+  const profile = resolveProfile(file);
+  if (builtinNames().includes(profile.name)) {
+    throw new Error(`"${profile.name}" is a built-in profile; give the team profile another name`);
+  }
+  const registry = readRegistry();
+  const previous = registry.profiles[profile.name] || null;
+  registry.profiles[profile.name] = file;
+  writeRegistry(registry);
+  return { name: profile.name, file, previous };
+}
+
+function unregisterProfile(name) {
+  const registry = readRegistry();
+  if (!registry.profiles[name]) throw new Error(`No registered profile named "${name}"`);
+  const file = registry.profiles[name];
+  delete registry.profiles[name];
+  writeRegistry(registry);
+  return { name, file };
+}
+
+module.exports = {
+  BUILTIN_DIR,
+  listProfiles,
+  registerProfile,
+  registryPath,
+  resolveProfile,
+  unregisterProfile,
+  validateManifest
+};
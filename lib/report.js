@@ -0,0 +1,511 @@
+/**
+ * Mission report: a hand-off summary of .claude/pm-state for the people who
+ * take a project over after DEPLOY.
+ *
+ * writeReport() produces, under the output directory (docs/handoff by
+ * default):
+ *
+ *   REPORT.md            phase timeline, task burndown, technical debt,
+ *                        decisions and per-file change history
+ *   report.html          the same report as one self-contained page (inline
+ *                        CSS and SVG charts, no external assets)
+ *   adr/NNNN-<slug>.md   one architecture decision record per entry in
+ *                        decisions.json, numbered in file order
+ *
+ * State is read through readState, so a malformed or outdated state file
+ * stops the report instead of producing a misleading one. The change history
+ * is built from the audit log's safeguard decisions: an allowed edit is a
+ * change, a denied one is listed as blocked. The report is dated by the
+ * newest timestamp in the state rather than the clock, so unchanged state
+ * renders byte-for-byte the same and writeReport leaves the files alone.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PHASES, STATE_DIR, readAudit, readState } = require('./pm-state');
+
+const DEFAULT_OUT = 'docs/handoff';
+const MARKER = '<!-- Generated by setup-pm report from .claude/pm-state; edits are overwritten -->';
+const TASK_STATUSES = ['pending', 'in-progress', 'blocked', 'done'];
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+const DAY = 24 * 60 * 60 * 1000;
+
+function duration(from, to) {
+  return from && to ? Math.max(0, Date.parse(to) - Date.parse(from)) : null;
+}
+
+/**
+ * Remaining open tasks per day. Tasks without createdAt count from the
+ * start; done tasks without completedAt cannot be placed and are left out
+ * (returned as `undated`), so the last point matches the open task count.
+ */
+function burndown(tasks) {
+  const days = new Map();
+  const bump = (timestamp, key) => {
+    const day = new Date(timestamp).toISOString().slice(0, 10);
+    if (!days.has(day)) days.set(day, { date: day, created: 0, completed: 0 });
+    days.get(day)[key]++;
+  };
+
+  let remaining = 0;
+  let undated = 0;
+  for (const task of tasks) {
+    if (task.status === 'done' && !task.completedAt) {
+      undated++;
+      continue;
+    }
+    if (task.createdAt) bump(task.createdAt, 'created');
+    else remaining++;
+    if (task.status === 'done') bump(task.completedAt, 'completed');
+  }
+
+  const series = [...days.values()].sort((a, b) => a.date.localeCompare(b.date)).map(day => {
+    remaining += day.created - day.completed;
+    return Object.assign(day, { remaining });
+  });
+  return { series, undated };
+}
+
+function slugify(title) {
+  return String(title)
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .slice(0, 60)
+    .replace(/^-+|-+$/g, '') || 'decision';
+}
+
+function adrFileName(decision, number) {
+  return `${String(number).padStart(4, '0')}-${slugify(decision.title)}.md`;
+}
+
+// The newest *At / at / timestamp value anywhere in `values`, or null
+function latestTimestamp(values) {
+  let latest = null;
+  const visit = value => {
+    if (Array.isArray(value)) return value.forEach(visit);
+    if (!value || typeof value !== 'object') return;
+    for (const [key, child] of Object.entries(value)) {
+      const time = typeof child === 'string' && /(?:At|^at|^timestamp)$/.test(key) ? Date.parse(child) : NaN;
+      if (!Number.isNaN(time)) latest = latest === null ? time : Math.max(latest, time);
+      else visit(child);
+    }
+  };
+  values.forEach(visit);
+  return latest === null ? null : new Date(latest).toISOString();
+}
+
+function historyAction(entry) {
+  if (entry.action !== 'policy') return entry.action;
+  return entry.decision === 'deny' ? `blocked${entry.rule ? ` (${entry.rule})` : ''}` : 'allowed';
+}
+
+/**
+ * Reads the state files and returns the report model:
+ * { asOf, project, mission, status, currentPhase, lastTestRun,
+ *   phases, tasks, debt, decisions, files }. `asOf` is the newest timestamp
+ * in the state, or `now` when the state has none.
+ */
+function buildReport({ dir = STATE_DIR, now = new Date() } = {}) {
+  const state = readState('project-state.json', { dir });
+  const { tasks } = readState('task-tracker.json', { dir });
+  const { decisions } = readState('decisions.json', { dir });
+  const { items } = readState('technical-debt.json', { dir });
+  const entries = readAudit({ dir, rotated: true });
+  const asOf = latestTimestamp([state, tasks, decisions, items, entries]) || now.toISOString();
+
+  const phases = PHASES.map(phase => {
+    const { status = 'pending', startedAt = null, completedAt = null } = (state.phases || {})[phase] || {};
+    const ongoing = status === 'in-progress' && Boolean(startedAt);
+    return { phase, status, startedAt, completedAt, duration: duration(startedAt, completedAt || (ongoing ? asOf : null)), ongoing };
+  });
+
+  const byStatus = Object.fromEntries(TASK_STATUSES.map(status => [status, tasks.filter(t => t.status === status).length]));
+  const byPhase = [...PHASES, null]
+    .map(phase => {
+      const inPhase = tasks.filter(t => (t.phase || null) === phase);
+      return { phase, total: inPhase.length, done: inPhase.filter(t => t.status === 'done').length };
+    })
+    .filter(row => row.total > 0);
+  const { series, undated } = burndown(tasks);
+
+  const bySeverity = item => SEVERITIES.indexOf(item.severity || 'medium');
+  const debt = {
+    open: items.filter(i => i.status === 'open').sort((a, b) => bySeverity(a) - bySeverity(b)),
+    resolved: items.filter(i => i.status === 'resolved')
+  };
+
+  const history = new Map();
+  for (const entry of entries) {
+    for (const file of new Set(entry.files || [])) {
+      if (!history.has(file)) history.set(file, []);
+      history.get(file).push({
+        timestamp: entry.timestamp,
+        action: historyAction(entry),
+        tool: entry.tool || null,
+        agent: entry.agent || null,
+        session: entry.session || null
+      });
+    }
+  }
+  const files = [...history.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([file, changes]) => ({ file, changes: changes.sort((a, b) => a.timestamp.localeCompare(b.timestamp)) }));
+
+  return {
+    asOf,
+    project: state.project || null,
+    mission: state.mission || null,
+    status: state.status,
+    currentPhase: state.currentPhase,
+    lastTestRun: state.lastTestRun || null,
+    phases,
+    tasks: {
+      total: tasks.length,
+      byStatus,
+      byPhase,
+      burndown: series,
+      undated,
+      open: tasks.filter(t => t.status !== 'done')
+    },
+    debt,
+    decisions: decisions.map((decision, i) => Object.assign({ number: i + 1, file: `adr/${adrFileName(decision, i + 1)}` }, decision)),
+    files
+  };
+}
+
+// Formatting shared by both renderers
+
+function formatTime(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString().replace('T', ' ').slice(0, 16) : '—';
+}
+
+function formatDate(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString().slice(0, 10) : '—';
+}
+
+function formatDuration(ms) {
+  if (ms === null) return '—';
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ${minutes % 60}m`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+function phaseDuration(row) {
+  return row.duration === null ? '—' : `${formatDuration(row.duration)}${row.ongoing ? ' (ongoing)' : ''}`;
+}
+
+function capitalize(text) {
+  return text ? text[0].toUpperCase() + text.slice(1) : text;
+}
+
+function title(report) {
+  return `Mission Report${report.project ? `: ${report.project}` : ''}`;
+}
+
+function testRunSummary(run) {
+  return run ? `${run.status} at ${formatTime(run.at)}${run.command ? ` (${run.command})` : ''}` : 'none recorded';
+}
+
+function taskSummary(tasks) {
+  const { byStatus } = tasks;
+  return `${byStatus.done} of ${tasks.total} tasks done (${byStatus.pending} pending, ${byStatus['in-progress']} in progress, ${byStatus.blocked} blocked).`;
+}
+
+// Markdown
+
+function cell(value) {
+  return value === null || value === undefined || value === '' ? '—' : String(value).replace(/\|/g, '\\|').replace(/\s*\r?\n\s*/g, ' ');
+}
+
+function table(headers, rows) {
+  return [
+    `| ${headers.join(' | ')} |`,
+    `| ${headers.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${row.map(cell).join(' | ')} |`)
+  ].join('\n');
+}
+
+function renderMarkdown(report) {
+  const { tasks, debt } = report;
+  const lines = [MARKER, '', `# ${title(report)}`, ''];
+  if (report.mission) lines.push(`> ${report.mission.replace(/\r?\n/g, '\n> ')}`, '');
+  lines.push(table(['', ''], [
+    ['Status', report.status],
+    ['Current phase', report.currentPhase],
+    ['Last test run', testRunSummary(report.lastTestRun)],
+    ['State as of', `${formatTime(report.asOf)} UTC`]
+  ]), '');
+
+  lines.push('## Phase Timeline', '', table(['Phase', 'Status', 'Started', 'Completed', 'Duration'],
+    report.phases.map(row => [row.phase, row.status, formatTime(row.startedAt), formatTime(row.completedAt), phaseDuration(row)])), '');
+
+  lines.push('## Task Burndown', '', taskSummary(tasks), '');
+  if (tasks.byPhase.length > 0) {
+    lines.push(table(['Phase', 'Done', 'Total'], tasks.byPhase.map(row => [row.phase || 'Unassigned', row.done, row.total])), '');
+  }
+  if (tasks.burndown.length > 0) {
+    const peak = Math.max(...tasks.burndown.map(day => day.remaining), 1);
+    lines.push(table(['Date', 'Created', 'Completed', 'Remaining', ''],
+      tasks.burndown.map(day => [day.date, day.created, day.completed, day.remaining, '█'.repeat(Math.round(day.remaining / peak * 30))])), '');
+  }
+  if (tasks.undated > 0) lines.push(`${tasks.undated} done task(s) have no completedAt and are not charted.`, '');
+  if (tasks.open.length > 0) {
+    lines.push('### Open Tasks', '', table(['ID', 'Title', 'Phase', 'Status', 'Agent'],
+      tasks.open.map(t => [t.id, t.title, t.phase, t.status, t.agent])), '');
+  }
+
+  lines.push('## Technical Debt', '');
+  if (debt.open.length === 0) lines.push('No open technical debt.', '');
+  else {
+    lines.push(table(['ID', 'Severity', 'Title', 'Reason', 'Since'],
+      debt.open.map(i => [i.id, i.severity || 'medium', i.title, i.reason, formatDate(i.createdAt)])), '');
+  }
+  if (debt.resolved.length > 0) lines.push(`Resolved: ${debt.resolved.map(i => `${i.id} (${i.title})`).join(', ')}.`, '');
+
+  lines.push('## Decisions', '');
+  if (report.decisions.length === 0) lines.push('No decisions recorded.', '');
+  else {
+    lines.push(table(['ADR', 'Title', 'Status', 'Date'],
+      report.decisions.map(d => [`[${d.number}](${d.file})`, d.title, d.status || 'accepted', formatDate(d.date)])), '');
+  }
+
+  lines.push('## File Change History', '');
+  if (report.files.length === 0) lines.push('No file changes in the audit log.', '');
+  for (const { file, changes } of report.files) {
+    lines.push(`### \`${file}\``, '', table(['Time', 'Action', 'Tool', 'Agent', 'Session'],
+      changes.map(c => [formatTime(c.timestamp), c.action, c.tool, c.agent, c.session])), '');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Renders one decision as a numbered ADR in the usual
+ * Status / Context / Decision / Consequences layout.
+ */
+function renderAdr(decision) {
+  const section = (heading, text) => [`## ${heading}`, '', text && text.trim() ? text.trim() : 'Not recorded.', ''];
+  return [
+    MARKER,
+    '',
+    `# ${decision.number}. ${decision.title}`,
+    '',
+    `Date: ${formatDate(decision.date)}`,
+    '',
+    `Recorded as ${decision.id} in ${STATE_DIR}/decisions.json`,
+    '',
+    ...section('Status', capitalize(decision.status || 'accepted')),
+    ...section('Context', decision.context),
+    ...section('Decision', decision.decision),
+    ...section('Consequences', decision.consequences)
+  ].join('\n');
+}
+
+// HTML
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '—' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function htmlTable(headers, rows) {
+  const head = headers.map(h => `<th>${escapeHtml(h)}</th>`).join('');
+  // Cells are escaped unless passed as { html }
+  const body = rows.map(row => `<tr>${row.map(value => `<td>${value && value.html !== undefined ? value.html : escapeHtml(value === '' ? null : value)}</td>`).join('')}</tr>`).join('\n');
+  return `<table><thead><tr>${head}</tr></thead><tbody>\n${body}\n</tbody></table>`;
+}
+
+function badge(status) {
+  return { html: `<span class="badge ${escapeHtml(status)}">${escapeHtml(status)}</span>` };
+}
+
+function timelineSvg(report) {
+  const started = report.phases.filter(row => row.startedAt);
+  if (started.length === 0) return '';
+  const end = row => Date.parse(row.completedAt || (row.ongoing ? report.asOf : row.startedAt));
+  const min = Math.min(...started.map(row => Date.parse(row.startedAt)));
+  const span = Math.max(Math.max(...started.map(end)) - min, DAY);
+  const [width, left, rowHeight] = [640, 90, 24];
+  const x = time => left + (time - min) / span * (width - left - 10);
+
+  const bars = report.phases.map((row, i) => {
+    const y = i * rowHeight + 4;
+    const label = `<text x="0" y="${y + 14}">${row.phase}</text>`;
+    if (!row.startedAt) return label;
+    const from = x(Date.parse(row.startedAt));
+    const barWidth = Math.max(x(end(row)) - from, 3);
+    const tip = `${row.phase}: ${formatTime(row.startedAt)} → ${row.completedAt ? formatTime(row.completedAt) : 'now'}`;
+    return `${label}<rect class="${row.status}" x="${from.toFixed(1)}" y="${y}" width="${barWidth.toFixed(1)}" height="${rowHeight - 8}" rx="3"><title>${escapeHtml(tip)}</title></rect>`;
+  });
+  const height = report.phases.length * rowHeight + 20;
+  const axis = `<text x="${left}" y="${height - 2}">${formatDate(new Date(min).toISOString())}</text>`
+    + `<text x="${width - 10}" y="${height - 2}" text-anchor="end">${formatDate(new Date(min + span).toISOString())}</text>`;
+  return `<svg class="chart timeline" viewBox="0 0 ${width} ${height}" role="img" aria-label="Phase timeline">${bars.join('')}${axis}</svg>`;
+}
+
+function burndownSvg(series) {
+  if (series.length === 0) return '';
+  const [width, height, pad] = [640, 220, 36];
+  const peak = Math.max(...series.map(day => day.remaining), 1);
+  const first = Date.parse(series[0].date);
+  const span = Date.parse(series[series.length - 1].date) - first;
+  const x = date => span === 0 ? width / 2 : pad + (Date.parse(date) - first) / span * (width - 2 * pad);
+  const y = value => height - pad - value / peak * (height - 2 * pad);
+
+  const points = series.map(day => `${x(day.date).toFixed(1)},${y(day.remaining).toFixed(1)}`).join(' ');
+  const dots = series.map(day => `<circle cx="${x(day.date).toFixed(1)}" cy="${y(day.remaining).toFixed(1)}" r="3"><title>${day.date}: ${day.remaining} remaining (+${day.created} / -${day.completed})</title></circle>`).join('');
+  const axes = `<line x1="${pad}" y1="${height - pad}" x2="${width - pad}" y2="${height - pad}"/><line x1="${pad}" y1="${pad}" x2="${pad}" y2="${height - pad}"/>`
+    + `<text x="${pad - 6}" y="${y(peak) + 4}" text-anchor="end">${peak}</text><text x="${pad - 6}" y="${height - pad + 4}" text-anchor="end">0</text>`
+    + `<text x="${pad}" y="${height - 10}">${series[0].date}</text><text x="${width - pad}" y="${height - 10}" text-anchor="end">${series[series.length - 1].date}</text>`;
+  return `<svg class="chart burndown" viewBox="0 0 ${width} ${height}" role="img" aria-label="Task burndown">${axes}<polyline points="${points}"/>${dots}</svg>`;
+}
+
+function paragraphs(text) {
+  if (!text || !text.trim()) return '<p class="muted">Not recorded.</p>';
+  return text.trim().split(/\r?\n\s*\r?\n/).map(p => `<p>${escapeHtml(p)}</p>`).join('\n');
+}
+
+const STYLE = `
+body { font: 15px/1.5 -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; color: #1f2328; max-width: 960px; margin: 2rem auto; padding: 0 1rem; }
+h1, h2 { border-bottom: 1px solid #d0d7de; padding-bottom: .3rem; }
+blockquote { margin: 0; padding: 0 1rem; color: #57606a; border-left: 4px solid #d0d7de; }
+table { border-collapse: collapse; margin: 1rem 0; width: 100%; }
+th, td { border: 1px solid #d0d7de; padding: 4px 8px; text-align: left; vertical-align: top; }
+th { background: #f6f8fa; }
+code { background: #f6f8fa; padding: 1px 4px; border-radius: 4px; }
+p { white-space: pre-wrap; }
+.muted { color: #57606a; }
+.badge { border-radius: 10px; padding: 0 8px; font-size: 13px; background: #eaeef2; }
+.badge.complete, .badge.done, .badge.accepted, .badge.passed, .badge.resolved { background: #dafbe1; }
+.badge.in-progress, .badge.proposed, .badge.medium { background: #ddf4ff; }
+.badge.blocked, .badge.failed, .badge.critical, .badge.high, .badge.rejected { background: #ffebe9; }
+.chart { width: 100%; max-width: 640px; font-size: 11px; fill: #57606a; }
+.chart rect { fill: #afb8c1; } .chart rect.complete { fill: #2da44e; } .chart rect.in-progress { fill: #0969da; }
+.chart line { stroke: #8c959f; } .chart polyline { fill: none; stroke: #0969da; stroke-width: 2; } .chart circle { fill: #0969da; }
+details { border: 1px solid #d0d7de; border-radius: 6px; padding: .5rem 1rem; margin: .5rem 0; }
+summary { cursor: pointer; font-weight: 600; }
+`;
+
+function renderHtml(report) {
+  const { tasks, debt } = report;
+  const body = [`<h1>${escapeHtml(title(report))}</h1>`];
+  if (report.mission) body.push(`<blockquote>${paragraphs(report.mission)}</blockquote>`);
+  body.push(htmlTable(['', ''], [
+    ['Status', badge(report.status)],
+    ['Current phase', report.currentPhase],
+    ['Last test run', testRunSummary(report.lastTestRun)],
+    ['State as of', `${formatTime(report.asOf)} UTC`]
+  ]));
+
+  body.push('<h2>Phase Timeline</h2>', timelineSvg(report), htmlTable(['Phase', 'Status', 'Started', 'Completed', 'Duration'],
+    report.phases.map(row => [row.phase, badge(row.status), formatTime(row.startedAt), formatTime(row.completedAt), phaseDuration(row)])));
+
+  body.push('<h2>Task Burndown</h2>', `<p>${escapeHtml(taskSummary(tasks))}</p>`, burndownSvg(tasks.burndown));
+  if (tasks.undated > 0) body.push(`<p class="muted">${tasks.undated} done task(s) have no completedAt and are not charted.</p>`);
+  if (tasks.byPhase.length > 0) {
+    body.push(htmlTable(['Phase', 'Done', 'Total'], tasks.byPhase.map(row => [row.phase || 'Unassigned', row.done, row.total])));
+  }
+  if (tasks.open.length > 0) {
+    body.push('<h3>Open Tasks</h3>', htmlTable(['ID', 'Title', 'Phase', 'Status', 'Agent'],
+      tasks.open.map(t => [t.id, t.title, t.phase, badge(t.status), t.agent])));
+  }
+
+  body.push('<h2>Technical Debt</h2>');
+  if (debt.open.length === 0) body.push('<p>No open technical debt.</p>');
+  else {
+    body.push(htmlTable(['ID', 'Severity', 'Title', 'Reason', 'Since'],
+      debt.open.map(i => [i.id, badge(i.severity || 'medium'), i.title, i.reason, formatDate(i.createdAt)])));
+  }
+  if (debt.resolved.length > 0) body.push(`<p class="muted">Resolved: ${escapeHtml(debt.resolved.map(i => `${i.id} (${i.title})`).join(', '))}.</p>`);
+
+  body.push('<h2>Decisions</h2>');
+  if (report.decisions.length === 0) body.push('<p>No decisions recorded.</p>');
+  for (const d of report.decisions) {
+    body.push(`<details id="adr-${d.number}"><summary>${d.number}. ${escapeHtml(d.title)} ${badge(d.status || 'accepted').html} <span class="muted">${formatDate(d.date)}</span></summary>`,
+      `<h4>Context</h4>${paragraphs(d.context)}<h4>Decision</h4>${paragraphs(d.decision)}<h4>Consequences</h4>${paragraphs(d.consequences)}`,
+      `<p class="muted">${escapeHtml(d.file)}</p></details>`);
+  }
+
+  body.push('<h2>File Change History</h2>');
+  if (report.files.length === 0) body.push('<p>No file changes in the audit log.</p>');
+  for (const { file, changes } of report.files) {
+    body.push(`<details><summary><code>${escapeHtml(file)}</code> <span class="muted">${changes.length} event(s), last ${formatTime(changes[changes.length - 1].timestamp)}</span></summary>`,
+      htmlTable(['Time', 'Action', 'Tool', 'Agent', 'Session'], changes.map(c => [formatTime(c.timestamp), c.action, c.tool, c.agent, c.session])),
+      '</details>');
+  }
+
+  return [
+    '<!DOCTYPE html>',
+    MARKER,
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    `<title>${escapeHtml(title(report))}</title>`,
+    `<style>${STYLE}</style>`,
+    '</head>',
+    '<body>',
+    ...body.filter(Boolean),
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Writes REPORT.md, report.html and the ADRs under `out`. ADRs from an
+ * earlier run that no longer match a decision are removed, but only if they
+ * carry the generated-file marker. Returns
+ * [{ file, action: written | unchanged | removed }].
+ */
+function writeReport(report, { out = DEFAULT_OUT, dryRun = false } = {}) {
+  const files = {
+    'REPORT.md': renderMarkdown(report),
+    'report.html': renderHtml(report)
+  };
+  for (const decision of report.decisions) files[decision.file] = renderAdr(decision);
+
+  const results = [];
+  for (const [name, content] of Object.entries(files)) {
+    const target = path.join(out, name);
+    const existing = fs.existsSync(target) ? fs.readFileSync(target, 'utf8') : null;
+    if (existing === content) {
+      results.push({ file: target, action: 'unchanged' });
+      continue;
+    }
+    if (!dryRun) {
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, content);
+    }
+    results.push({ file: target, action: 'written' });
+  }
+
+  const adrDir = path.join(out, 'adr');
+  if (fs.existsSync(adrDir)) {
+    for (const name of fs.readdirSync(adrDir).sort()) {
+      const target = path.join(adrDir, name);
+      if (!/^\d{4}-.*\.md$/.test(name) || files[`adr/${name}`] !== undefined) continue;
+      if (!fs.readFileSync(target, 'utf8').startsWith(MARKER)) continue;
+      if (!dryRun) fs.unlinkSync(target);
+      results.push({ file: target, action: 'removed' });
+    }
+  }
+  return results;
+}
+
+module.exports = {
+  DEFAULT_OUT,
+  adrFileName,
+  buildReport,
+  renderAdr,
+  renderHtml,
+  renderMarkdown,
+  writeReport
+};
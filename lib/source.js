@@ -0,0 +1,201 @@
+/**
+ * Framework sources.
+ *
+ * A source is anything setup-pm can read framework files from: a local
+ * checkout of the framework repo, a .tar/.tar.gz/.tgz snapshot of one, or
+ * (only when explicitly requested) the raw files behind REPO_URL.
+ *
+ * Every source exposes the same shape:
+ *   { label, read(relPath) -> Promise<Buffer|null> }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const https = require('https');
+
+const TARBALL_PATTERN = /\.(tar|tar\.gz|tgz)$/i;
+
+function openDirectorySource(dir) {
+  const root = path.resolve(dir);
+  return {
+    label: root,
+    async read(relPath) {
+      const file = path.join(root, relPath);
+      return fs.existsSync(file) && fs.statSync(file).isFile() ? fs.readFileSync(file) : null;
+    }
+  };
+}
+
+function readTarString(buf, start, length) {
+  const end = buf.indexOf(0, start);
+  return buf.toString('utf8', start, end === -1 || end > start + length ? start + length : end);
+}
+
+function parsePaxPath(data) {
+  // PAX records look like "<len> <key>=<value>\n"
+  for (const record of data.toString('utf8').split('\n')) {
+    const match = record.match(/^\d+ path=(.*)$/);
+    if (match) return match[1];
+  }
+  return null;
+}
+
+/**
+ * Reads a (optionally gzipped) tar archive into a Map of path -> Buffer.
+ * Only regular files are kept; GNU long names and PAX path overrides are
+ * honoured so GitHub release tarballs work unmodified.
+ */
+function readTarball(file) {
+  let buf = fs.readFileSync(file);
+  if (buf[0] === 0x1f && buf[1] === 0x8b) buf = zlib.gunzipSync(buf);
+
+  const entries = new Map();
+  let offset = 0;
+  let pendingName = null;
+
+  while (offset + 512 <= buf.length) {
+    const header = buf.subarray(offset, offset + 512);
+    if (header.every(byte => byte === 0)) break;
+
+    const size = parseInt(readTarString(header, 124, 12).trim() || '0', 8);
+    const type = String.fromCharCode(header[156] || 48);
+    const prefix = readTarString(header, 345, 155);
+    let name = readTarString(header, 0, 100);
+    if (prefix) name = `${prefix}/${name}`;
+
+    const dataStart = offset + 512;
+    const data = buf.subarray(dataStart, dataStart + size);
+    offset = dataStart + Math.ceil(size / 512) * 512;
+
+    if (type === 'L') {
+      pendingName = data.toString('utf8').replace(/\0+$/, '');
+      continue;
+    }
+    if (type === 'x') {
+      pendingName = parsePaxPath(data) || pendingName;
+      continue;
+    }
+    if (type === 'g') continue;
+
+    if (pendingName) {
+      name = pendingName;
+      pendingName = null;
+    }
+    if (type === '0' || type === '\0' || type === '7') {
+      entries.set(name.replace(/^\.\//, ''), Buffer.from(data));
+    }
+  }
+
+  return entries;
+}
+
+function openTarballSource(file) {
+  const entries = readTarball(file);
+
+  // Release tarballs wrap everything in a single "<repo>-<ref>/" directory.
+  const names = [...entries.keys()];
+  const first = names[0] ? names[0].split('/')[0] : '';
+  const stripPrefix = first && names.every(name => name.startsWith(`${first}/`)) ? `${first}/` : '';
+
+  const files = new Map();
+  for (const [name, data] of entries) {
+    files.set(name.slice(stripPrefix.length), data);
+  }
+
+  return {
+    label: path.resolve(file),
+    async read(relPath) {
+      return files.get(relPath.split(path.sep).join('/')) || null;
+    }
+  };
+}
+
+function download(url, redirects = 5) {
+  return new Promise((resolve, reject) => {
+    https.get(url, res => {
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location && redirects > 0) {
+        res.resume();
+        resolve(download(new URL(res.headers.location, url).toString(), redirects - 1));
+        return;
+      }
+      if (res.statusCode === 404) {
+        res.resume();
+        resolve(null);
+        return;
+      }
+      if (res.statusCode !== 200) {
+        res.resume();
+        reject(new Error(`GET ${url} failed with HTTP ${res.statusCode}`));
+        return;
+      }
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve(Buffer.concat(chunks)));
+      res.on('error', reject);
+    }).on('error', reject);
+  });
+}
+
+function openRemoteSource(baseUrl) {
+  return {
+    label: baseUrl,
+    read(relPath) {
+      return download(`${baseUrl}/${relPath.split(path.sep).join('/')}`);
+    }
+  };
+}
+
+/**
+ * Resolves --source / --remote into a source object.
+ */
+function openSource({ source, remote, repoUrl }) {
+  if (source) {
+    if (!fs.existsSync(source)) {
+      throw new Error(`Source not found: ${source}`);
+    }
+    if (fs.statSync(source).isDirectory()) return openDirectorySource(source);
+    if (TARBALL_PATTERN.test(source)) return openTarballSource(source);
+    throw new Error(`Unsupported source: ${source} (expected a directory or .tar/.tar.gz/.tgz)`);
+  }
+  if (remote) return openRemoteSource(repoUrl);
+  return null;
+}
+
+/**
+ * Layers sources on top of each other: read() returns the first source's
+ * copy of a file that has one. Used for team profiles, whose own templates
+ * take precedence over the framework's.
+ */
+function overlaySources(sources) {
+  if (sources.length === 1) return sources[0];
+  return {
+    label: sources.map(src => src.label).join(' + '),
+    async read(relPath) {
+      for (const src of sources) {
+        const data = await src.read(relPath);
+        if (data) return data;
+      }
+      return null;
+    }
+  };
+}
+
+/**
+ * Reads a framework file, trying each candidate path in order. Returns the
+ * first hit as { path, data } or null when the source has none of them.
+ */
+async function readFirst(src, candidates) {
+  for (const candidate of candidates) {
+    const data = await src.read(candidate);
+    if (data) return { path: candidate, data };
+  }
+  return null;
+}
+
+module.exports = {
+  openSource,
+  overlaySources,
+  readFirst,
+  readTarball
+};
@@ -0,0 +1,178 @@
+/**
+ * `setup-pm upgrade`: moves an installed project to a newer framework
+ * release without losing local customizations.
+ *
+ * For every FRAMEWORK_FILES entry three versions are compared:
+ *   base     - the pristine file from the installed release (pm-state/base/)
+ *   local    - the file as it is in the project now
+ *   incoming - the file from the new release
+ *
+ * Changes made on only one side are applied automatically. When both sides
+ * changed the same lines the file is left with conflict markers, or, with
+ * --conflict orig, replaced by the incoming version and the local copy kept
+ * as <file>.orig. Files installed before base snapshots existed have no
+ * base and always take the .orig route when they differ.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readFirst } = require('./source');
+const { merge3 } = require('./merge');
+const {
+  readBase,
+  readLockfile,
+  readManifest,
+  resolveFrameworkVersion,
+  sha256,
+  writeBase,
+  writeLockfile,
+  writeManifest
+} = require('./install');
+
+const CONFLICT_STYLES = ['markers', 'orig'];
+
+const SUMMARY_LABELS = {
+  added: 'Added',
+  updated: 'Updated',
+  merged: 'Merged local changes',
+  conflict: 'Conflicts',
+  'kept-local': 'Kept local changes',
+  'deleted-locally': 'Deleted locally (not restored)',
+  unchanged: 'Unchanged',
+  missing: 'Missing from new release'
+};
+
+function isBinary(data) {
+  return data.includes(0);
+}
+
+function classify(base, local, incoming) {
+  if (!local) return base ? 'deleted-locally' : 'added';
+  if (local.equals(incoming)) return 'unchanged';
+  if (!base) return 'conflict';
+  if (local.equals(base)) return 'updated';
+  if (incoming.equals(base)) return 'kept-local';
+  return 'merge';
+}
+
+/**
+ * Upgrades `files` (dest -> source path) from `src`. `profile` and
+ * `profileFile` replace the ones in the lockfile when given.
+ *
+ * Returns { previousVersion, version, results } with one
+ * { dest, action, conflicts?, orig? } per file.
+ */
+async function upgradeFiles(src, files, { root = '.', conflictStyle = 'markers', dryRun = false, profile, profileFile, log = console.log } = {}) {
+  if (!CONFLICT_STYLES.includes(conflictStyle)) {
+    throw new Error(`Unknown conflict style "${conflictStyle}" (expected ${CONFLICT_STYLES.join(', ')})`);
+  }
+
+  const lockfile = readLockfile(root);
+  const manifest = readManifest(root) || { files: {} };
+  const previousVersion = lockfile ? lockfile.frameworkVersion : null;
+  const hashes = {};
+  const results = [];
+
+  // Resolve the incoming release up front so conflict markers can name it
+  const incomingFiles = {};
+  for (const [dest, sourcePath] of Object.entries(files)) {
+    const found = await readFirst(src, [sourcePath, dest]);
+    if (found) {
+      incomingFiles[dest] = found;
+      hashes[dest] = sha256(found.data);
+    }
+  }
+  const version = await resolveFrameworkVersion(src, hashes);
+
+  const write = (file, data) => {
+    if (dryRun) return;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, data);
+  };
+
+  for (const dest of Object.keys(files)) {
+    const found = incomingFiles[dest];
+    if (!found) {
+      results.push({ dest, action: 'missing' });
+      continue;
+    }
+
+    const target = path.join(root, dest);
+    const incoming = found.data;
+    const local = fs.existsSync(target) ? fs.readFileSync(target) : null;
+    const base = readBase(dest, root);
+    let action = classify(base, local, incoming);
+    const result = { dest };
+
+    if (action === 'added' || action === 'updated') {
+      write(target, incoming);
+    } else if (action === 'merge') {
+      const merged = isBinary(local) || isBinary(incoming) || isBinary(base)
+        ? { conflicts: 1 }
+        : merge3(base.toString('utf8'), local.toString('utf8'), incoming.toString('utf8'), {
+          localLabel: 'local',
+          incomingLabel: `framework ${version}`
+        });
+
+      if (merged.conflicts === 0) {
+        action = 'merged';
+        write(target, merged.text);
+      } else {
+        action = 'conflict';
+        result.conflicts = merged.conflicts;
+        if (conflictStyle === 'markers' && merged.text !== undefined) {
+          write(target, merged.text);
+        } else {
+          result.orig = `${dest}.orig`;
+          write(path.join(root, result.orig), local);
+          write(target, incoming);
+        }
+      }
+    } else if (action === 'conflict') {
+      // No base snapshot to merge against
+      result.orig = `${dest}.orig`;
+      write(path.join(root, result.orig), local);
+      write(target, incoming);
+    }
+
+    if (!dryRun) writeBase(dest, incoming, root);
+    manifest.files[dest] = { source: found.path, sha256: hashes[dest], action };
+    results.push(Object.assign(result, { action }));
+  }
+
+  if (!dryRun) {
+    const now = new Date().toISOString();
+    writeManifest(Object.assign(manifest, { source: src.label, installedAt: now }), root);
+    const locked = lockfile || {};
+    writeLockfile({
+      frameworkVersion: version,
+      profile: profile || locked.profile,
+      profileFile: profile ? profileFile || null : locked.profileFile || null,
+      source: src.label,
+      lockedAt: now,
+      files: hashes
+    }, root);
+  }
+
+  for (const result of results) {
+    if (result.action === 'unchanged') continue;
+    const detail = result.orig ? ` → local copy saved as ${result.orig}` : result.conflicts ? ` (${result.conflicts} conflict(s))` : '';
+    log(`   ${result.action === 'conflict' ? '!' : '✓'} ${result.dest}: ${result.action}${detail}`);
+  }
+
+  return { previousVersion, version, results };
+}
+
+function summarize(results) {
+  const counts = {};
+  for (const { action } of results) counts[action] = (counts[action] || 0) + 1;
+  return Object.keys(SUMMARY_LABELS)
+    .filter(action => counts[action])
+    .map(action => `${SUMMARY_LABELS[action].padEnd(32)} ${counts[action]}`);
+}
+
+module.exports = {
+  CONFLICT_STYLES,
+  summarize,
+  upgradeFiles
+};
@@ -0,0 +1,880 @@
+#!/usr/bin/env node
+
+/**
+ * Local workflow runner.
+ *
+ * Runs the `run:` steps of the installed GitHub workflows on this machine so
+ * git-push-gate.js can block a push that CI would reject. This module is
+ * installed as .claude/lib/workflow-runner.js:
+ *
+ *   const { runWorkflows } = require('../lib/workflow-runner');
+ *   const result = runWorkflows();
+ *   if (!result.ok) { ...block the push... }
+ *
+ * or from a shell:
+ *
+ *   node .claude/lib/workflow-runner.js [workflow.yml ...] [--event push|pull_request]
+ *        [--branch <name>] [--base <branch>] [--in-place] [--json] [--verbose]
+ *
+ * What is emulated:
+ *   - GITHUB_REF / GITHUB_HEAD_REF / GITHUB_BASE_REF and the github context
+ *     for a push or pull_request event on the current branch
+ *   - `on:` branch filters, job `needs:`, job and step `if:` expressions,
+ *     `${{ }}` interpolation, $GITHUB_OUTPUT / $GITHUB_ENV, job outputs,
+ *     local reusable workflows (`uses: ./.github/workflows/x.yml`) and one
+ *     matrix combination (the one matching the local Node version, if any)
+ *   - GitHub's `shell:` templates (bash, sh, python, pwsh, powershell, and
+ *     cmd on Windows) and custom ones such as `perl {0}`
+ *   - checkout, setup-node and paths-filter actions are stubbed; other
+ *     `uses:` actions are reported as skipped
+ *
+ * Steps run in a throwaway `git worktree` of HEAD, so they see exactly what
+ * is being pushed and cannot dirty the working tree (steps such as
+ * `npm install --save-dev` or `cat > commitlint.config.js` write files).
+ * Pass --in-place (or { inPlace: true }) to run in the working tree instead.
+ *
+ * When the project has .claude/pm-state and test.yml or ci.yml ran, their
+ * outcome is recorded as the last test run for HEAD, which the
+ * require_test_pass safeguard checks. A pass is not recorded when a
+ * worktree run left uncommitted changes untested.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync, spawnSync } = require('child_process');
+const { STATE_DIR, recordTestRun } = require('./pm-state');
+const { parse } = require('./yaml');
+const { matchGlob } = require('./glob');
+
+const WORKFLOW_DIR = '.github/workflows';
+const DEFAULT_WORKFLOWS = ['branch-naming.yml', 'commit-lint.yml', 'lint.yml', 'test.yml', 'ci.yml'];
+// The workflows whose outcome counts as a test run
+const TEST_WORKFLOWS = ['test.yml', 'ci.yml'];
+const LONG_LIVED_BRANCHES = ['main', 'master', 'develop'];
+const DEFAULT_STEP_TIMEOUT_MINUTES = 30;
+const OUTPUT_TAIL = 4000;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Expressions
+// ─────────────────────────────────────────────────────────────────────────────
+
+class ExpressionError extends Error {
+  constructor(message, expression) {
+    super(`${message} in expression: ${expression}`);
+    this.name = 'ExpressionError';
+  }
+}
+
+function tokenize(expression) {
+  const tokens = [];
+  const pattern = /\s*(?:('(?:[^']|'')*')|(-?\d+(?:\.\d+)?)|([A-Za-z_][\w-]*)|(==|!=|<=|>=|&&|\|\||[!<>()[\].,*]))/y;
+  let match;
+  pattern.lastIndex = 0;
+  while (pattern.lastIndex < expression.length) {
+    if (/^\s*$/.test(expression.slice(pattern.lastIndex))) break;
+    const start = pattern.lastIndex;
+    match = pattern.exec(expression);
+    if (!match) throw new ExpressionError(`Unexpected character at ${start}`, expression);
+    if (match[1] !== undefined) tokens.push({ type: 'value', value: match[1].slice(1, -1).replace(/''/g, "'") });
+    else if (match[2] !== undefined) tokens.push({ type: 'value', value: Number(match[2]) });
+    else if (match[3] !== undefined) {
+      const literal = { true: true, false: false, null: null }[match[3]];
+      tokens.push(literal !== undefined ? { type: 'value', value: literal } : { type: 'ident', value: match[3] });
+    } else tokens.push({ type: 'op', value: match[4] });
+  }
+  return tokens;
+}
+
+function lookup(object, key) {
+  if (object === null || object === undefined || typeof object !== 'object') return null;
+  if (key in object) return object[key];
+  const found = Object.keys(object).find(k => k.toLowerCase() === String(key).toLowerCase());
+  return found === undefined ? null : object[found];
+}
+
+function toNumber(value) {
+  if (value === null) return 0;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (typeof value === 'string') return value.trim() === '' ? 0 : Number(value);
+  return typeof value === 'number' ? value : NaN;
+}
+
+function looseEquals(a, b) {
+  if (typeof a === 'string' && typeof b === 'string') return a.toLowerCase() === b.toLowerCase();
+  if (typeof a === typeof b) return a === b;
+  return toNumber(a) === toNumber(b);
+}
+
+function truthy(value) {
+  return !(value === false || value === null || value === undefined || value === 0 || value === '' || Number.isNaN(value));
+}
+
+function stringify(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+const FUNCTIONS = {
+  contains: (haystack, needle) => Array.isArray(haystack)
+    ? haystack.some(item => looseEquals(item, needle))
+    : stringify(haystack).toLowerCase().includes(stringify(needle).toLowerCase()),
+  startsWith: (text, prefix) => stringify(text).toLowerCase().startsWith(stringify(prefix).toLowerCase()),
+  endsWith: (text, suffix) => stringify(text).toLowerCase().endsWith(stringify(suffix).toLowerCase()),
+  format: (template, ...args) => stringify(template).replace(/\{(\d+)\}/g, (_, i) => stringify(args[i])),
+  join: (items, separator = ',') => (Array.isArray(items) ? items : [items]).map(stringify).join(separator),
+  toJSON: value => JSON.stringify(value, null, 2),
+  fromJSON: value => JSON.parse(value),
+  hashFiles: () => ''
+};
+
+/**
+ * Evaluates a GitHub Actions expression (without the ${{ }} wrapper).
+ * `status` supplies success()/failure() for the current job or step.
+ */
+function evaluate(expression, context, status = { failed: false }) {
+  const tokens = tokenize(expression);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const accept = value => {
+    if (tokens[pos] && tokens[pos].type === 'op' && tokens[pos].value === value) {
+      pos++;
+      return true;
+    }
+    return false;
+  };
+  const expect = value => {
+    if (!accept(value)) throw new ExpressionError(`Expected "${value}"`, expression);
+  };
+
+  const binary = (next, ops, apply) => () => {
+    let left = next();
+    for (let token = peek(); token && token.type === 'op' && ops.includes(token.value); token = peek()) {
+      pos++;
+      left = apply(token.value, left, next());
+    }
+    return left;
+  };
+
+  const call = (name, args) => {
+    switch (name.toLowerCase()) {
+      case 'success': return !status.failed;
+      case 'failure': return Boolean(status.failed);
+      case 'always': return true;
+      case 'cancelled': return false;
+      default: {
+        const fn = Object.entries(FUNCTIONS).find(([key]) => key.toLowerCase() === name.toLowerCase());
+        if (!fn) throw new ExpressionError(`Unknown function ${name}()`, expression);
+        return fn[1](...args);
+      }
+    }
+  };
+
+  const primary = () => {
+    const token = tokens[pos++];
+    if (!token) throw new ExpressionError('Unexpected end', expression);
+    if (token.type === 'value') return token.value;
+    if (token.type === 'op' && token.value === '(') {
+      const value = or();
+      expect(')');
+      return value;
+    }
+    if (token.type !== 'ident') throw new ExpressionError(`Unexpected "${token.value}"`, expression);
+
+    if (accept('(')) {
+      const args = [];
+      if (!accept(')')) {
+        do args.push(or()); while (accept(','));
+        expect(')');
+      }
+      return call(token.value, args);
+    }
+
+    let value = lookup(context, token.value);
+    for (;;) {
+      if (accept('.')) {
+        const key = tokens[pos++];
+        if (!key) throw new ExpressionError('Expected a property name', expression);
+        value = key.value === '*' && Array.isArray(value) ? value : lookup(value, key.value);
+      } else if (accept('[')) {
+        const key = or();
+        expect(']');
+        value = lookup(value, key);
+      } else {
+        return value;
+      }
+    }
+  };
+
+  const unary = () => (accept('!') ? !truthy(unary()) : primary());
+  const compare = binary(unary, ['<', '>', '<=', '>='], (op, a, b) => {
+    const x = toNumber(a);
+    const y = toNumber(b);
+    return { '<': x < y, '>': x > y, '<=': x <= y, '>=': x >= y }[op];
+  });
+  const equality = binary(compare, ['==', '!='], (op, a, b) => (op === '==' ? looseEquals(a, b) : !looseEquals(a, b)));
+  const and = binary(equality, ['&&'], (op, a, b) => (truthy(a) ? b : a));
+  const or = binary(and, ['||'], (op, a, b) => (truthy(a) ? a : b));
+
+  const value = or();
+  if (pos < tokens.length) throw new ExpressionError(`Unexpected "${tokens[pos].value}"`, expression);
+  return value;
+}
+
+function interpolate(value, context, status) {
+  if (typeof value !== 'string') return value;
+  return value.replace(/\$\{\{([\s\S]*?)\}\}/g, (_, expression) => stringify(evaluate(expression, context, status)));
+}
+
+/**
+ * Evaluates an `if:` condition. Conditions without a status function get
+ * an implicit `success() &&`, as on GitHub.
+ */
+function evaluateCondition(condition, context, status) {
+  if (condition === undefined || condition === null) return !status.failed;
+  if (typeof condition === 'boolean') return condition && !status.failed;
+  const expression = String(condition).trim().replace(/^\$\{\{([\s\S]*)\}\}$/, '$1');
+  const result = truthy(evaluate(expression, context, status));
+  return /\b(success|failure|always|cancelled)\s*\(/.test(expression) ? result : result && !status.failed;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Git context
+// ─────────────────────────────────────────────────────────────────────────────
+
+function git(args, cwd) {
+  try {
+    return execFileSync('git', args, { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+  } catch (e) {
+    return '';
+  }
+}
+
+function defaultBranch(cwd) {
+  const remoteHead = git(['symbolic-ref', '--short', 'refs/remotes/origin/HEAD'], cwd);
+  if (remoteHead) return remoteHead.replace(/^origin\//, '');
+  return LONG_LIVED_BRANCHES.find(branch => git(['rev-parse', '--verify', '--quiet', branch], cwd)) || 'main';
+}
+
+function resolveRef(ref, cwd) {
+  return git(['rev-parse', '--verify', '--quiet', `origin/${ref}`], cwd) || git(['rev-parse', '--verify', '--quiet', ref], cwd);
+}
+
+/**
+ * Builds the github context and GITHUB_* environment for the run. A push to
+ * a long-lived branch is emulated as `push`; anything else as the
+ * `pull_request` the branch is headed for.
+ */
+function buildGitContext({ root, event, branch, base }) {
+  const currentBranch = branch || git(['rev-parse', '--abbrev-ref', 'HEAD'], root) || 'HEAD';
+  const baseBranch = base || defaultBranch(root);
+  const eventName = event || (LONG_LIVED_BRANCHES.includes(currentBranch) ? 'push' : 'pull_request');
+  const sha = git(['rev-parse', 'HEAD'], root);
+  const firstCommit = git(['rev-list', '--max-parents=0', 'HEAD'], root).split('\n')[0];
+  const baseSha = eventName === 'pull_request'
+    ? git(['merge-base', 'HEAD', resolveRef(baseBranch, root) || 'HEAD'], root) || firstCommit
+    : git(['rev-parse', '--verify', '--quiet', '@{u}'], root) || firstCommit;
+
+  const ref = eventName === 'pull_request' ? `refs/pull/local/merge` : `refs/heads/${currentBranch}`;
+  const github = {
+    event_name: eventName,
+    ref,
+    ref_name: eventName === 'pull_request' ? 'local/merge' : currentBranch,
+    head_ref: eventName === 'pull_request' ? currentBranch : '',
+    base_ref: eventName === 'pull_request' ? baseBranch : '',
+    sha,
+    repository: path.basename(path.resolve(root)),
+    workspace: path.resolve(root),
+    event: eventName === 'pull_request'
+      ? { pull_request: { base: { sha: baseSha, ref: baseBranch }, head: { sha, ref: currentBranch } } }
+      : { before: baseSha, after: sha }
+  };
+
+  const env = {
+    CI: 'true',
+    GITHUB_EVENT_NAME: eventName,
+    GITHUB_REF: ref,
+    GITHUB_REF_NAME: github.ref_name,
+    GITHUB_HEAD_REF: github.head_ref,
+    GITHUB_BASE_REF: github.base_ref,
+    GITHUB_SHA: sha,
+    GITHUB_WORKSPACE: github.workspace,
+    GITHUB_REPOSITORY: github.repository,
+    RUNNER_OS: { win32: 'Windows', darwin: 'macOS' }[process.platform] || 'Linux',
+    RUNNER_TEMP: os.tmpdir()
+  };
+
+  return { github, env, branch: currentBranch, baseSha };
+}
+
+function branchFiltersMatch(filter, branch) {
+  if (!filter || typeof filter !== 'object') return true;
+  const opts = { matchBase: false };
+  if (Array.isArray(filter.branches) && !filter.branches.some(p => matchGlob(String(p), branch, opts))) return false;
+  if (Array.isArray(filter['branches-ignore']) && filter['branches-ignore'].some(p => matchGlob(String(p), branch, opts))) return false;
+  return true;
+}
+
+/**
+ * Whether the workflow's `on:` would trigger for this event. For
+ * pull_request the branch filters apply to the base branch.
+ */
+function isTriggered(workflow, { github, branch }) {
+  const on = workflow.on;
+  const event = github.event_name;
+  const filterBranch = event === 'pull_request' ? github.base_ref : branch;
+  if (typeof on === 'string') return on === event;
+  if (Array.isArray(on)) return on.includes(event);
+  if (on && typeof on === 'object' && event in on) return branchFiltersMatch(on[event], filterBranch);
+  return false;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Steps
+// ─────────────────────────────────────────────────────────────────────────────
+
+function parseCommandFile(file) {
+  const values = {};
+  if (!fs.existsSync(file)) return values;
+  const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/);
+  for (let i = 0; i < lines.length; i++) {
+    const multi = lines[i].match(/^([^=<]+)<<(.+)$/);
+    if (multi) {
+      const collected = [];
+      while (++i < lines.length && lines[i] !== multi[2]) collected.push(lines[i]);
+      values[multi[1]] = collected.join('\n');
+      continue;
+    }
+    const single = lines[i].match(/^([^=]+)=(.*)$/);
+    if (single) values[single[1]] = single[2];
+  }
+  return values;
+}
+
+function tail(text) {
+  return text.length > OUTPUT_TAIL ? `…${text.slice(-OUTPUT_TAIL)}` : text;
+}
+
+function changedFiles(root, baseSha) {
+  if (!baseSha) return null;
+  const committed = git(['diff', '--name-only', `${baseSha}...HEAD`], root);
+  const uncommitted = git(['diff', '--name-only', 'HEAD'], root);
+  return [...new Set(`${committed}\n${uncommitted}`.split('\n').filter(Boolean))];
+}
+
+/**
+ * Stand-ins for marketplace actions. Each returns { status, note, outputs }.
+ */
+const ACTION_STUBS = {
+  'actions/checkout': (step, { inPlace }) => ({
+    status: 'skipped',
+    note: inPlace ? 'using the local working tree' : 'using a clean checkout of HEAD'
+  }),
+  'actions/setup-node': ({ with: inputs }) => {
+    const wanted = inputs && inputs['node-version'] ? String(inputs['node-version']) : null;
+    const local = process.versions.node.split('.')[0];
+    const note = wanted && !wanted.startsWith(local)
+      ? `using local Node ${process.versions.node} (workflow asks for ${wanted})`
+      : `using local Node ${process.versions.node}`;
+    return { status: 'skipped', note };
+  },
+  'dorny/paths-filter': ({ with: inputs }, { root, baseSha }) => {
+    const files = changedFiles(root, baseSha);
+    let filters = {};
+    try {
+      filters = typeof inputs.filters === 'string' ? parse(inputs.filters) || {} : inputs.filters || {};
+    } catch (e) {
+      return { status: 'failure', note: `could not parse filters: ${e.message}` };
+    }
+    const outputs = {};
+    const matched = [];
+    for (const [name, patterns] of Object.entries(filters)) {
+      const hit = !files || files.some(file => [].concat(patterns).some(p => matchGlob(String(p), file)));
+      outputs[name] = String(hit);
+      if (hit) matched.push(name);
+    }
+    outputs.changes = JSON.stringify(matched);
+    return { status: 'success', note: files ? `${files.length} changed file(s)` : 'no base commit; assuming everything changed', outputs };
+  }
+};
+
+function findStub(uses) {
+  const name = uses.split('@')[0];
+  return Object.entries(ACTION_STUBS).find(([action]) => name === action || name.startsWith(`${action}/`));
+}
+
+// GitHub's built-in `shell:` values. POSIX shells get `exec 2>&1` so stdout
+// and stderr interleave; for the others the two streams are concatenated.
+const SHELLS = {
+  bash: { ext: '.sh', posix: true, argv: file => ['bash', '--noprofile', '--norc', '-eo', 'pipefail', file] },
+  sh: { ext: '.sh', posix: true, argv: file => ['sh', '-e', file] },
+  python: { ext: '.py', argv: file => ['python', file] },
+  pwsh: { ext: '.ps1', argv: file => ['pwsh', '-command', `. '${file}'`] },
+  powershell: { ext: '.ps1', argv: file => ['powershell', '-command', `. '${file}'`] },
+  cmd: { ext: '.cmd', windowsOnly: true, argv: file => ['cmd', '/D', '/E:ON', '/V:OFF', '/S', '/C', `CALL "${file}"`] }
+};
+
+// What GitHub runs when a step names no shell
+const DEFAULT_SHELL = { ext: '.sh', posix: true, argv: file => ['bash', '-e', file] };
+
+function splitWords(text) {
+  return [...text.matchAll(/"([^"]*)"|'([^']*)'|(\S+)/g)].map(m => (m[1] !== undefined ? m[1] : m[2] !== undefined ? m[2] : m[3]));
+}
+
+/**
+ * Resolves a step's `shell:` into { ext, posix, argv(file) }, or { error }
+ * for a shell that cannot run here. Anything that is not a built-in name is
+ * a custom template such as `perl {0}`; the script path is appended when
+ * the template has no {0}.
+ */
+function resolveShell(shell) {
+  if (!shell) return DEFAULT_SHELL;
+  const name = String(shell).trim();
+  const builtin = SHELLS[name];
+  if (builtin) {
+    if (builtin.windowsOnly && process.platform !== 'win32') return { error: `shell: ${name} only runs on Windows` };
+    return builtin;
+  }
+
+  const words = splitWords(name);
+  if (words.length === 0) return { error: 'shell: is empty' };
+  const placeholder = words.some(word => word.includes('{0}'));
+  return {
+    ext: '',
+    posix: false,
+    argv: file => (placeholder ? words.map(word => word.split('{0}').join(file)) : [...words, file])
+  };
+}
+
+function runScript(script, { cwd, env, shell, timeoutMinutes }) {
+  const spec = resolveShell(shell);
+  if (spec.error) return { exitCode: null, output: `${spec.error}\n` };
+
+  const file = path.join(os.tmpdir(), `pm-step-${process.pid}-${Date.now()}${spec.ext}`);
+  fs.writeFileSync(file, spec.posix ? `exec 2>&1\n${script}` : script);
+  try {
+    const [command, ...args] = spec.argv(file);
+    const result = spawnSync(command, args, {
+      cwd,
+      env,
+      encoding: 'utf8',
+      maxBuffer: 64 * 1024 * 1024,
+      timeout: timeoutMinutes * 60 * 1000
+    });
+    const output = spec.posix ? result.stdout || '' : `${result.stdout || ''}${result.stderr || ''}`;
+    if (result.error) {
+      const reason = {
+        ETIMEDOUT: `Timed out after ${timeoutMinutes} minute(s)`,
+        ENOENT: `Shell "${command}" is not installed on this machine`
+      }[result.error.code] || result.error.message;
+      return { exitCode: null, output: `${reason}\n${output}` };
+    }
+    return { exitCode: result.status, output };
+  } finally {
+    fs.rmSync(file, { force: true });
+  }
+}
+
+function runStep(step, index, job) {
+  const { context, status, root, jobEnv } = job;
+  const name = interpolate(step.name, context, status) || step.uses || String(step.run || '').split('\n')[0].slice(0, 60) || `Step ${index + 1}`;
+  const result = { name, status: 'skipped', exitCode: null, output: '', durationMs: 0 };
+  const started = Date.now();
+
+  if (!evaluateCondition(step.if, context, status)) {
+    result.note = 'condition not met';
+    return result;
+  }
+
+  const withInputs = {};
+  for (const [key, value] of Object.entries(step.with || {})) withInputs[key] = interpolate(value, context, status);
+
+  let outputs = {};
+  if (step.uses) {
+    const stub = findStub(step.uses);
+    if (!stub) {
+      result.note = `action ${step.uses} is not run locally`;
+      return result;
+    }
+    const stubbed = stub[1]({ with: withInputs }, job);
+    Object.assign(result, { status: stubbed.status, note: stubbed.note });
+    outputs = stubbed.outputs || {};
+  } else if (step.run !== undefined) {
+    const outputFile = path.join(os.tmpdir(), `pm-output-${process.pid}-${index}`);
+    const envFile = path.join(os.tmpdir(), `pm-env-${process.pid}-${index}`);
+    const summaryFile = path.join(os.tmpdir(), `pm-summary-${process.pid}-${index}`);
+    const env = Object.assign({}, process.env, jobEnv, {
+      GITHUB_OUTPUT: outputFile,
+      GITHUB_ENV: envFile,
+      GITHUB_STEP_SUMMARY: summaryFile
+    });
+    for (const [key, value] of Object.entries(step.env || {})) env[key] = stringify(interpolate(value, context, status));
+
+    try {
+      const run = runScript(interpolate(String(step.run), context, status), {
+        cwd: path.resolve(root, interpolate(step['working-directory'] || job.workingDirectory || '.', context, status)),
+        env,
+        shell: step.shell || job.shell,
+        timeoutMinutes: Number(step['timeout-minutes'] || job.timeoutMinutes || DEFAULT_STEP_TIMEOUT_MINUTES)
+      });
+      result.exitCode = run.exitCode;
+      result.output = tail(run.output);
+      result.status = run.exitCode === 0 ? 'success' : 'failure';
+
+      outputs = parseCommandFile(outputFile);
+      for (const match of run.output.matchAll(/^::set-output name=([^:]+)::(.*)$/gm)) outputs[match[1]] = match[2];
+      Object.assign(jobEnv, parseCommandFile(envFile));
+    } finally {
+      for (const file of [outputFile, envFile, summaryFile]) fs.rmSync(file, { force: true });
+    }
+  }
+
+  if (step.id) context.steps[step.id] = { outputs, outcome: result.status, conclusion: result.status };
+  if (result.status === 'failure' && truthy(interpolate(step['continue-on-error'], context, status))) {
+    result.status = 'success';
+    result.note = 'failed, but continue-on-error is set';
+  }
+  result.durationMs = Date.now() - started;
+  return result;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Jobs and workflows
+// ─────────────────────────────────────────────────────────────────────────────
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Expands a strategy matrix into its combinations the way GitHub does:
+ * the cross product of the matrix keys, minus combinations matching an
+ * `exclude` entry, then each `include` entry merged into every original
+ * combination it does not contradict, or added as a new one.
+ */
+function expandMatrix(matrix) {
+  const keys = Object.keys(matrix).filter(key => key !== 'include' && key !== 'exclude');
+  let combos = keys.length > 0 ? [{}] : [];
+  for (const key of keys) {
+    combos = combos.flatMap(combo => [].concat(matrix[key]).map(value => Object.assign({}, combo, { [key]: value })));
+  }
+
+  const excludes = [].concat(matrix.exclude || []).filter(entry => entry && typeof entry === 'object');
+  combos = combos.filter(combo => !excludes.some(entry => Object.entries(entry).every(([key, value]) => sameValue(combo[key], value))));
+
+  const originals = combos.map(combo => Object.assign({}, combo));
+  for (const entry of [].concat(matrix.include || []).filter(item => item && typeof item === 'object')) {
+    let merged = false;
+    originals.forEach((original, i) => {
+      if (Object.entries(entry).every(([key, value]) => !(key in original) || sameValue(original[key], value))) {
+        Object.assign(combos[i], entry);
+        merged = true;
+      }
+    });
+    if (!merged) combos.push(Object.assign({}, entry));
+  }
+  return combos;
+}
+
+/**
+ * Picks one matrix combination to run locally: the one whose node-version
+ * matches the running Node, otherwise the first.
+ */
+function pickMatrix(strategy) {
+  const matrix = strategy && strategy.matrix;
+  if (!matrix || typeof matrix !== 'object') return null;
+
+  const combos = expandMatrix(matrix);
+  const local = process.versions.node.split('.')[0];
+  return combos.find(combo => String(combo['node-version']).split('.')[0] === local) || combos[0] || null;
+}
+
+function orderJobs(jobs, file) {
+  const ordered = [];
+  const visiting = new Set();
+  const visit = id => {
+    if (ordered.includes(id)) return;
+    if (visiting.has(id)) throw new Error(`${file}: job "${id}" has a circular "needs"`);
+    if (!jobs[id]) throw new Error(`${file}: unknown job "${id}" in "needs"`);
+    visiting.add(id);
+    for (const need of [].concat(jobs[id].needs || [])) visit(need);
+    visiting.delete(id);
+    ordered.push(id);
+  };
+  Object.keys(jobs).forEach(visit);
+  return ordered;
+}
+
+function runJob(id, job, workflow, run) {
+  const needs = {};
+  for (const need of [].concat(job.needs || [])) {
+    const dependency = run.jobs[need];
+    needs[need] = { result: dependency.status, outputs: dependency.outputs };
+  }
+  const matrix = pickMatrix(job.strategy);
+  const context = Object.assign({}, run.context, { needs, matrix: matrix || {}, steps: {}, job: { status: 'success' } });
+  const needsFailed = Object.values(needs).some(need => need.result !== 'success');
+  const status = { failed: needsFailed };
+  const result = { id, name: interpolate(job.name, context, status) || id, status: 'skipped', steps: [], outputs: {} };
+  if (matrix) result.matrix = matrix;
+
+  if (!evaluateCondition(job.if, context, status)) {
+    result.note = needsFailed ? 'a required job did not succeed' : 'condition not met';
+    return result;
+  }
+  // Status functions in the job's own steps only see the job's steps
+  status.failed = false;
+
+  if (job.uses) {
+    const target = String(job.uses);
+    if (!target.startsWith('./')) {
+      result.note = `remote workflow ${target} is not run locally`;
+      return result;
+    }
+    const nested = runWorkflowFile(path.join(run.root, target), Object.assign({}, run, { forceTrigger: true }));
+    result.workflow = nested;
+    result.status = nested.jobs.some(j => j.status === 'failure') ? 'failure' : 'success';
+    return result;
+  }
+
+  const jobEnv = Object.assign({}, run.env, { GITHUB_JOB: id });
+  for (const [key, value] of Object.entries(Object.assign({}, workflow.env, job.env))) {
+    jobEnv[key] = stringify(interpolate(value, context, status));
+  }
+  context.env = jobEnv;
+
+  const defaults = (job.defaults && job.defaults.run) || (workflow.defaults && workflow.defaults.run) || {};
+  const state = {
+    context,
+    status,
+    root: run.root,
+    baseSha: run.baseSha,
+    inPlace: run.inPlace,
+    jobEnv,
+    shell: defaults.shell,
+    workingDirectory: defaults['working-directory'],
+    timeoutMinutes: job['timeout-minutes']
+  };
+
+  for (const [index, step] of (job.steps || []).entries()) {
+    const stepResult = runStep(step, index, state);
+    result.steps.push(stepResult);
+    if (run.onStep) run.onStep(stepResult, result);
+    if (stepResult.status === 'failure') {
+      status.failed = true;
+      context.job.status = 'failure';
+    }
+  }
+
+  result.status = status.failed ? 'failure' : 'success';
+  for (const [key, value] of Object.entries(job.outputs || {})) {
+    result.outputs[key] = stringify(interpolate(value, context, status));
+  }
+  return result;
+}
+
+function runWorkflowFile(file, run) {
+  const relative = path.relative(run.root, file);
+  if (run.cache.has(file)) return run.cache.get(file);
+
+  const workflow = parse(fs.readFileSync(file, 'utf8')) || {};
+  const result = { file: relative, name: workflow.name || relative, triggered: true, jobs: [] };
+  if (!run.forceTrigger && !isTriggered(workflow, run)) {
+    // Not cached: a later `uses:` of this workflow must still run it
+    result.triggered = false;
+    return result;
+  }
+
+  const jobs = workflow.jobs || {};
+  const context = Object.assign({}, run.context, { env: Object.assign({}, run.env, workflow.env) });
+  context.github = Object.assign({}, context.github, { workflow: result.name });
+  const workflowRun = Object.assign({}, run, { context, jobs: {} });
+
+  for (const id of orderJobs(jobs, relative)) {
+    const jobResult = runJob(id, jobs[id], workflow, workflowRun);
+    workflowRun.jobs[id] = jobResult;
+    result.jobs.push(jobResult);
+    if (run.onJob) run.onJob(jobResult, result);
+  }
+
+  run.cache.set(file, result);
+  return result;
+}
+
+function createWorktree(root) {
+  if (!git(['rev-parse', '--verify', '--quiet', 'HEAD'], root)) return null;
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pm-ci-'));
+  try {
+    execFileSync('git', ['worktree', 'add', '--detach', dir, 'HEAD'], { cwd: root, stdio: 'ignore' });
+    return dir;
+  } catch (e) {
+    fs.rmSync(dir, { recursive: true, force: true });
+    return null;
+  }
+}
+
+function removeWorktree(root, dir) {
+  git(['worktree', 'remove', '--force', dir], root);
+  fs.rmSync(dir, { recursive: true, force: true });
+  git(['worktree', 'prune'], root);
+}
+
+/**
+ * Records the test workflows' outcome in project-state.json. Returns
+ * { recorded, status, reason }, or null when the project keeps no PM state
+ * or no test job ran.
+ */
+function recordRun(root, result, { sha, inPlace }) {
+  const stateDir = path.join(root, STATE_DIR);
+  const tests = result.workflows.filter(workflow => !workflow.missing && TEST_WORKFLOWS.includes(path.basename(workflow.file)));
+  const flatten = jobs => jobs.flatMap(job => [job, ...(job.workflow ? flatten(job.workflow.jobs) : [])]);
+  const jobs = flatten(tests.flatMap(workflow => workflow.jobs));
+  if (!fs.existsSync(stateDir) || !jobs.some(job => job.status !== 'skipped')) return null;
+
+  const status = jobs.some(job => job.status === 'failure') ? 'failed' : 'passed';
+  // A worktree run tested HEAD, not the uncommitted changes a commit would add
+  if (status === 'passed' && !inPlace && git(['status', '--porcelain', '--', '.', `:(exclude)${STATE_DIR}`], root)) {
+    return { recorded: false, status, reason: 'the working tree has uncommitted changes the run did not test; commit them or use --in-place' };
+  }
+  const command = `workflow-runner ${tests.map(workflow => path.basename(workflow.file)).join(' ')}`;
+  recordTestRun({ passed: status === 'passed', command, head: sha || null, dir: stateDir });
+  return { recorded: true, status, reason: null };
+}
+
+/**
+ * Runs the given workflow files (default: the framework's push-gate set)
+ * and returns { ok, event, branch, workflows, testRun }. `ok` is false when
+ * any job that ran failed; testRun is what recordRun() did.
+ */
+function runWorkflows({ root = '.', workflows = DEFAULT_WORKFLOWS, event, branch, base, inPlace = false, onStep, onJob } = {}) {
+  const gitContext = buildGitContext({ root, event, branch, base });
+  const worktree = inPlace ? null : createWorktree(root);
+  const workspace = path.resolve(worktree || root);
+  gitContext.github.workspace = workspace;
+  gitContext.env.GITHUB_WORKSPACE = workspace;
+
+  try {
+    const result = runIn(worktree || root, gitContext, { workflows, inPlace: !worktree, onStep, onJob });
+    result.testRun = recordRun(root, result, { sha: gitContext.github.sha, inPlace: !worktree });
+    return result;
+  } finally {
+    if (worktree) removeWorktree(root, worktree);
+  }
+}
+
+function runIn(root, gitContext, { workflows, inPlace, onStep, onJob }) {
+  const { github, env, baseSha } = gitContext;
+  const run = {
+    root,
+    inPlace,
+    env,
+    baseSha,
+    github,
+    branch: gitContext.branch,
+    context: { github, env, runner: { os: env.RUNNER_OS, temp: env.RUNNER_TEMP }, secrets: {}, vars: {}, inputs: {} },
+    cache: new Map(),
+    onStep,
+    onJob
+  };
+
+  const results = [];
+  for (const name of workflows) {
+    const file = path.isAbsolute(name) || name.includes('/') ? path.resolve(root, name) : path.join(root, WORKFLOW_DIR, name);
+    if (!fs.existsSync(file)) {
+      results.push({ file: path.relative(root, file), name, triggered: false, missing: true, jobs: [] });
+      continue;
+    }
+    results.push(runWorkflowFile(file, run));
+  }
+
+  const failed = workflows => workflows.some(w => w.jobs.some(job => job.status === 'failure'));
+  return { ok: !failed(results), event: github.event_name, branch: gitContext.branch, workflows: results };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CLI
+// ─────────────────────────────────────────────────────────────────────────────
+
+const STATUS_ICONS = { success: '✓', failure: '✗', skipped: '-' };
+
+function printJob(job, indent, verbose) {
+  const note = job.note ? ` (${job.note})` : job.matrix ? ` (matrix ${JSON.stringify(job.matrix)})` : '';
+  console.log(`${indent}${STATUS_ICONS[job.status]} ${job.name}${note}`);
+  if (job.workflow) {
+    for (const nested of job.workflow.jobs) printJob(nested, `${indent}   `, verbose);
+  }
+  for (const step of job.steps) {
+    const stepNote = step.note ? ` (${step.note})` : '';
+    console.log(`${indent}   ${STATUS_ICONS[step.status]} ${step.name}${stepNote}`);
+    if (step.output && (verbose || step.status === 'failure')) {
+      for (const line of step.output.trimEnd().split('\n')) console.log(`${indent}     │ ${line}`);
+    }
+  }
+}
+
+/**
+ * Command-line entry point. Returns the process exit code.
+ */
+function main(argv) {
+  const options = { workflows: [] };
+  let json = false;
+  let verbose = false;
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--json') json = true;
+    else if (arg === '--verbose') verbose = true;
+    else if (arg === '--in-place') options.inPlace = true;
+    else if (arg === '--event' || arg === '--branch' || arg === '--base') options[arg.slice(2)] = argv[++i];
+    else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+    else options.workflows.push(arg);
+  }
+  if (options.workflows.length === 0) delete options.workflows;
+
+  const result = runWorkflows(options);
+  if (json) {
+    console.log(JSON.stringify(result, null, 2));
+    return result.ok ? 0 : 1;
+  }
+
+  console.log(`🏃 Running workflows locally as a ${result.event} event on ${result.branch}\n`);
+  for (const workflow of result.workflows) {
+    if (workflow.missing) {
+      console.log(`⚠ ${workflow.file}: not found`);
+      continue;
+    }
+    if (!workflow.triggered) {
+      console.log(`- ${workflow.name}: not triggered by this ${result.event}`);
+      continue;
+    }
+    console.log(`${workflow.name} (${workflow.file})`);
+    for (const job of workflow.jobs) printJob(job, '  ', verbose);
+  }
+  console.log(result.ok ? '\n✅ All local checks passed' : '\n❌ Local CI failed; fix the steps above before pushing');
+  if (result.testRun && !result.testRun.recorded) console.log(`⚠ The test run was not recorded: ${result.testRun.reason}`);
+  return result.ok ? 0 : 1;
+}
+
+if (require.main === module) {
+  try {
+    process.exitCode = main(process.argv.slice(2));
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = {
+  DEFAULT_WORKFLOWS,
+  ExpressionError,
+  evaluate,
+  evaluateCondition,
+  expandMatrix,
+  interpolate,
+  isTriggered,
+  main,
+  pickMatrix,
+  resolveShell,
+  runWorkflows
+};
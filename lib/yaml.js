@@ -0,0 +1,359 @@
+/**
+ * Minimal YAML reader.
+ *
+ * setup-pm has no dependencies, so this covers the subset of YAML the
+ * framework actually ships: GitHub workflow files, config.yml, safeguard
+ * files and agent frontmatter. Supported: block mappings and sequences,
+ * plain/single/double-quoted scalars, literal (|) and folded (>) block
+ * scalars, single-line or bracket-balanced flow collections, and comments.
+ * Anchors, aliases, tags and multiple documents are not; anchors, aliases
+ * and tags are rejected with a YamlError rather than read as plain text.
+ *
+ * Keys such as `on` stay strings (YAML 1.2 core schema), matching how
+ * GitHub Actions reads workflow files.
+ */
+
+class YamlError extends Error {
+  constructor(message, line) {
+    super(line ? `${message} (line ${line})` : message);
+    this.name = 'YamlError';
+    this.line = line;
+  }
+}
+
+const KEY_PATTERN = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s'"#[\]{},&*!|>%@`-][^:#]*?|-[^\s:#][^:#]*?)\s*:(?:\s+(.*)|$)/;
+
+function stripComment(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    const prev = i === 0 ? ' ' : text[i - 1];
+    if (quote) {
+      if (ch === quote) {
+        if (quote === "'" && text[i + 1] === "'") i++;
+        else quote = null;
+      } else if (ch === '\\' && quote === '"') {
+        i++;
+      }
+    } else if ((ch === '"' || ch === "'") && /[\s[{,:]/.test(prev)) {
+      quote = ch;
+    } else if (ch === '#' && /\s/.test(prev)) {
+      return text.slice(0, i).trimEnd();
+    }
+  }
+  return text.trimEnd();
+}
+
+function isSeqItem(content) {
+  return content === '-' || content.startsWith('- ');
+}
+
+function isMapEntry(content) {
+  return !/^[[{]/.test(content) && KEY_PATTERN.test(content);
+}
+
+function unquote(text, line) {
+  if (text.startsWith("'")) {
+    if (!/'$/.test(text) || text.length < 2) throw new YamlError('Unterminated single-quoted string', line);
+    return text.slice(1, -1).replace(/''/g, "'");
+  }
+  if (!/[^\\]"$|^""$/.test(text) || text.length < 2) throw new YamlError('Unterminated double-quoted string', line);
+  try {
+    return JSON.parse(text.replace(/\\'/g, "'").replace(/\t/g, '\\t'));
+  } catch (e) {
+    throw new YamlError(`Invalid double-quoted string ${text}`, line);
+  }
+}
+
+function plainScalar(text, line) {
+  if (/^[&*!]/.test(text)) {
+    const kind = { '&': 'Anchors', '*': 'Aliases', '!': 'Tags' }[text[0]];
+    throw new YamlError(`${kind} are not supported (${text.split(/\s/)[0]}); quote the value if it is meant as text`, line);
+  }
+  if (text === '' || text === '~' || /^null$/i.test(text)) return null;
+  if (/^true$/i.test(text)) return true;
+  if (/^false$/i.test(text)) return false;
+  if (/^[-+]?\d+$/.test(text)) return Number(text);
+  if (/^[-+]?(\d+\.\d*|\.\d+)([eE][-+]?\d+)?$/.test(text)) return Number(text);
+  return text;
+}
+
+function scalar(text, line) {
+  return text.startsWith('"') || text.startsWith("'") ? unquote(text, line) : plainScalar(text, line);
+}
+
+function parseFlow(text, line) {
+  let pos = 0;
+
+  const skipSpace = () => {
+    while (pos < text.length && /\s/.test(text[pos])) pos++;
+  };
+
+  const readScalar = terminators => {
+    skipSpace();
+    const start = pos;
+    if (text[pos] === '"' || text[pos] === "'") {
+      const quote = text[pos++];
+      while (pos < text.length) {
+        if (text[pos] === '\\' && quote === '"') pos += 2;
+        else if (text[pos] === quote && quote === "'" && text[pos + 1] === "'") pos += 2;
+        else if (text[pos] === quote) break;
+        else pos++;
+      }
+      pos++;
+      return unquote(text.slice(start, pos), line);
+    }
+    while (pos < text.length && !terminators.includes(text[pos])) pos++;
+    return plainScalar(text.slice(start, pos).trim(), line);
+  };
+
+  const readValue = () => {
+    skipSpace();
+    if (text[pos] === '[') {
+      pos++;
+      const items = [];
+      skipSpace();
+      while (text[pos] !== ']') {
+        if (pos >= text.length) throw new YamlError('Unterminated flow sequence', line);
+        items.push(readValue());
+        skipSpace();
+        if (pos >= text.length) throw new YamlError('Unterminated flow sequence', line);
+        if (text[pos] === ',') pos++;
+        else if (text[pos] !== ']') throw new YamlError(`Unexpected "${text[pos]}" in flow sequence`, line);
+        skipSpace();
+      }
+      pos++;
+      return items;
+    }
+    if (text[pos] === '{') {
+      pos++;
+      const map = {};
+      skipSpace();
+      while (text[pos] !== '}') {
+        if (pos >= text.length) throw new YamlError('Unterminated flow mapping', line);
+        const key = readScalar([':', ',', '}']);
+        skipSpace();
+        let value = null;
+        if (text[pos] === ':') {
+          pos++;
+          value = readValue();
+        }
+        map[String(key)] = value;
+        skipSpace();
+        if (pos >= text.length) throw new YamlError('Unterminated flow mapping', line);
+        if (text[pos] === ',') pos++;
+        else if (text[pos] !== '}') throw new YamlError(`Unexpected "${text[pos]}" in flow mapping`, line);
+        skipSpace();
+      }
+      pos++;
+      return map;
+    }
+    return readScalar([',', ']', '}']);
+  };
+
+  const value = readValue();
+  skipSpace();
+  if (pos < text.length) throw new YamlError(`Unexpected trailing content "${text.slice(pos)}"`, line);
+  return value;
+}
+
+class Parser {
+  constructor(text) {
+    this.lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).map((raw, i) => {
+      const indentMatch = raw.match(/^[ \t]*/)[0];
+      return {
+        raw,
+        number: i + 1,
+        indent: indentMatch.length,
+        hasTab: indentMatch.includes('\t'),
+        content: stripComment(raw.slice(indentMatch.length))
+      };
+    });
+    this.pos = 0;
+  }
+
+  peek() {
+    while (this.pos < this.lines.length) {
+      const line = this.lines[this.pos];
+      if (line.content === '' || (line.indent === 0 && /^(---|\.\.\.)$/.test(line.content))) {
+        this.pos++;
+        continue;
+      }
+      if (line.hasTab) throw new YamlError('Tabs are not allowed for indentation', line.number);
+      return line;
+    }
+    return null;
+  }
+
+  parseDocument() {
+    const line = this.peek();
+    if (!line) return null;
+    const value = this.parseBlock(line.indent);
+    const rest = this.peek();
+    if (rest) throw new YamlError(`Unexpected content "${rest.content}"`, rest.number);
+    return value;
+  }
+
+  parseBlock(indent) {
+    const line = this.peek();
+    if (!line || line.indent < indent) return null;
+    if (isSeqItem(line.content)) return this.parseSeq(line.indent);
+    if (isMapEntry(line.content)) return this.parseMap(line.indent);
+    this.pos++;
+    return this.parseInline(line.content, line.indent - 1, line);
+  }
+
+  parseMap(indent) {
+    const map = {};
+    for (let line = this.peek(); line && line.indent >= indent; line = this.peek()) {
+      if (line.indent > indent) throw new YamlError('Unexpected indentation', line.number);
+      const match = line.content.match(KEY_PATTERN);
+      if (!match || isSeqItem(line.content)) {
+        throw new YamlError(`Expected a "key: value" entry, got "${line.content}"`, line.number);
+      }
+      const key = String(scalar(match[1], line.number));
+      if (Object.prototype.hasOwnProperty.call(map, key)) {
+        throw new YamlError(`Duplicate key "${key}"`, line.number);
+      }
+      this.pos++;
+      map[key] = this.parseValue(match[2] || '', indent, line, true);
+    }
+    return map;
+  }
+
+  parseSeq(indent) {
+    const items = [];
+    for (let line = this.peek(); line && line.indent >= indent; line = this.peek()) {
+      if (line.indent > indent) throw new YamlError('Unexpected indentation', line.number);
+      if (!isSeqItem(line.content)) break;
+
+      const rest = line.content.replace(/^-\s*/, '');
+      if (rest !== '' && (isSeqItem(rest) || isMapEntry(rest))) {
+        // "- key: value" opens a mapping (or nested sequence) whose column
+        // is where the first key starts.
+        line.indent += line.content.length - rest.length;
+        line.content = rest;
+        items.push(isSeqItem(rest) ? this.parseSeq(line.indent) : this.parseMap(line.indent));
+      } else {
+        this.pos++;
+        items.push(this.parseValue(rest, indent, line, false));
+      }
+    }
+    return items;
+  }
+
+  parseValue(rest, indent, line, inMap) {
+    if (rest === '') {
+      const next = this.peek();
+      if (next && next.indent > indent) return this.parseBlock(next.indent);
+      if (inMap && next && next.indent === indent && isSeqItem(next.content)) return this.parseSeq(indent);
+      return null;
+    }
+    if (/^[|>][-+0-9]*$/.test(rest)) return this.parseBlockScalar(rest, indent);
+    return this.parseInline(rest, indent, line);
+  }
+
+  parseInline(rest, indent, line) {
+    let text = rest;
+    if (/^[[{]/.test(text)) {
+      // Flow collections may continue over following lines until balanced
+      while (!this.isBalanced(text) && this.pos < this.lines.length) {
+        text += ' ' + this.lines[this.pos++].content;
+      }
+      return parseFlow(text, line.number);
+    }
+
+    // Plain and quoted scalars may fold onto more-indented lines
+    for (let next = this.peek(); next && next.indent > indent && !isSeqItem(next.content) && !isMapEntry(next.content); next = this.peek()) {
+      text += ' ' + next.content;
+      this.pos++;
+    }
+    return scalar(text, line.number);
+  }
+
+  isBalanced(text) {
+    let depth = 0;
+    let quote = null;
+    for (const ch of text) {
+      if (quote) {
+        if (ch === quote) quote = null;
+      } else if (ch === '"' || ch === "'") {
+        quote = ch;
+      } else if (ch === '[' || ch === '{') {
+        depth++;
+      } else if (ch === ']' || ch === '}') {
+        depth--;
+      }
+    }
+    return depth <= 0;
+  }
+
+  parseBlockScalar(header, indent) {
+    const folded = header.startsWith('>');
+    const chomp = header.includes('-') ? 'strip' : header.includes('+') ? 'keep' : 'clip';
+    const collected = [];
+    let contentIndent = null;
+
+    while (this.pos < this.lines.length) {
+      const line = this.lines[this.pos];
+      const blank = line.raw.trim() === '';
+      if (!blank && line.indent <= indent) break;
+      if (!blank && contentIndent === null) contentIndent = line.indent;
+      if (!blank && line.indent < contentIndent) {
+        throw new YamlError('Block scalar line is less indented than the first line', line.number);
+      }
+      collected.push(blank ? '' : line.raw.slice(contentIndent));
+      this.pos++;
+    }
+
+    let trailing = 0;
+    while (collected.length > 0 && collected[collected.length - 1] === '') {
+      collected.pop();
+      trailing++;
+    }
+
+    let text;
+    if (folded) {
+      text = '';
+      collected.forEach((part, i) => {
+        const prev = collected[i - 1];
+        if (i === 0) text = part;
+        else if (part === '') text += '\n';
+        else if (prev === '') text += part;
+        else if (/^\s/.test(part) || /^\s/.test(prev)) text += '\n' + part;
+        else text += ' ' + part;
+      });
+    } else {
+      text = collected.join('\n');
+    }
+
+    if (collected.length === 0) return '';
+    if (chomp === 'strip') return text;
+    if (chomp === 'keep') return text + '\n'.repeat(trailing + 1);
+    return text + '\n';
+  }
+}
+
+/**
+ * Parses a YAML document. Throws YamlError (with .line) on invalid input.
+ */
+function parse(text) {
+  return new Parser(text).parseDocument();
+}
+
+/**
+ * Splits a Markdown (or .yml agent) file into its "---" frontmatter and
+ * body. Returns { data, body } with data === null when there is no
+ * frontmatter block.
+ */
+function parseFrontmatter(text) {
+  const match = text.replace(/^\uFEFF/, '').match(/^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)([\s\S]*)$/);
+  if (!match) return { data: null, body: text };
+  return { data: parse(match[1]) || {}, body: match[2] };
+}
+
+module.exports = {
+  YamlError,
+  parse,
+  parseFrontmatter
+};
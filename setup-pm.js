@@ -6,124 +6,724 @@
  * Run this in any empty folder to scaffold the full PM framework:
  *   npx github:user/claude-framework setup-pm
  *
- * Or copy this file and run:
- *   node setup-pm.js
+ * Or run it from a local checkout or release tarball (no network needed):
+ *   node /path/to/claude-framework/setup-pm.js
+ *   node setup-pm.js --source /path/to/claude-framework
+ *   node setup-pm.js --source claude-framework.tar.gz
+ *
+ * Commands:
+ *   setup-pm [install]       Scaffold the framework into the current folder
+ *   setup-pm profile list    Show the install profiles (see lib/profiles.js)
+ *   setup-pm profile add <manifest.json>
+ *                            Register a team profile; `profile show <name>`
+ *                            and `profile remove <name>` inspect or drop one
+ *   setup-pm upgrade         Upgrade to a newer release, three-way merging
+ *                            local edits to agents, hooks and workflows
+ *   setup-pm doctor          Validate the installed framework (--json for
+ *                            machine-readable output)
+ *   setup-pm migrate-state   Upgrade .claude/pm-state files to the current
+ *                            schema version in place and move an old
+ *                            audit-log.json into audit-log.jsonl
+ *   setup-pm ci [files...]   Run the workflows' steps locally, as the push
+ *                            gate does (see lib/workflow-runner.js), and
+ *                            record the result as the last test run
+ *   setup-pm test-run [-- <command>]
+ *                            Run the tests (default: npm test) and record
+ *                            the result for the require_test_pass safeguard
+ *   setup-pm policy show     Print the safeguards pre-tool-use.js enforces
+ *   setup-pm policy replay <file|dir>
+ *                            Evaluate recorded hook payloads offline
+ *   setup-pm agents [list|check|phases]
+ *                            Validate agent definitions (tool names,
+ *                            duplicate names) and show which agents each PM
+ *                            phase relies on
+ *   setup-pm agents convert <file|dir...> [--to md|yml] [--out <dir>]
+ *                            Convert .yml workspace agents to .claude/agents
+ *                            .md subagents and back
+ *   setup-pm report [--out <dir>]
+ *                            Write the hand-off report (REPORT.md,
+ *                            report.html and one ADR per decision) from
+ *                            .claude/pm-state, to docs/handoff by default
+ *   setup-pm git-hooks       Generate .git/hooks/commit-msg and pre-push from
+ *                            .claude/git-conventions.json and sync the
+ *                            workflows and config.yml to it (--check reports
+ *                            drift without writing, --extract re-reads the
+ *                            conventions from the workflows)
+ *
+ * Options:
+ *   --profile <name|file>    install: pm (default), new-project,
+ *                            feature-development, workspace, a registered
+ *                            team profile or a manifest path
+ *                            upgrade: switch profiles (default: the one
+ *                            recorded in the lockfile)
+ *   --source <dir|tarball>   Read framework files from a local source
+ *   --remote                 Download framework files from REPO_URL instead
+ *   --on-conflict <policy>   install: ask | skip | backup | force (default:
+ *                            ask on a terminal, skip otherwise)
+ *   --force                  install: shorthand for --on-conflict force
+ *                            git-hooks: replace hooks setup-pm did not write
+ *                            agents convert: overwrite existing agents
+ *   --conflict <style>       upgrade: markers | orig (default: markers)
+ *   --dry-run                upgrade, git-hooks, agents convert, report:
+ *                            report what would change, write nothing
  */
 
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
+const { execSync, spawnSync } = require('child_process');
+const { openSource, overlaySources } = require('./lib/source');
+const { CONFLICT_POLICIES, LOCKFILE_PATH, MANIFEST_PATH, installFiles, readLockfile } = require('./lib/install');
+const { CONFLICT_STYLES, summarize, upgradeFiles } = require('./lib/upgrade');
+const { runDoctor } = require('./lib/doctor');
+const {
+  AUDIT_LOG,
+  LEGACY_AUDIT_LOG,
+  SCHEMA_VERSION,
+  STATE_DIR,
+  STATE_FILES,
+  migrate,
+  migrateAuditLog,
+  recordTestRun,
+  seedState,
+  validate,
+  writeState
+} = require('./lib/pm-state');
+const workflowRunner = require('./lib/workflow-runner');
+const policyEngine = require('./lib/policy');
+const gitConventions = require('./lib/git-conventions');
+const profiles = require('./lib/profiles');
+const agentTools = require('./lib/agents');
+const missionReport = require('./lib/report');
 
 const REPO_URL = 'https://raw.githubusercontent.com/USER/claude-framework/main';
 
-// Files to download from the framework repo
-const FRAMEWORK_FILES = {
-  '.claude/settings.json': 'settings.json',
-  '.claude/commands/pm.md': 'commands/pm.md',
-  '.claude/agents/architect.md': 'agents/architect.md',
-  '.claude/agents/developer.md': 'agents/developer.md',
-  '.claude/agents/tester.md': 'agents/tester.md',
-  '.claude/agents/reviewer.md': 'agents/reviewer.md',
-  '.claude/agents/devops.md': 'agents/devops.md',
-  '.claude/agents/code-critic.md': 'agents/code-critic.md',
-  '.claude/agents/standards-researcher.md': 'agents/standards-researcher.md',
-  '.claude/hooks/git-commit-gate.js': 'hooks/git-commit-gate.js',
-  '.claude/hooks/pr-workflow-monitor.js': 'hooks/pr-workflow-monitor.js',
-  '.claude/hooks/session-start.js': 'hooks/session-start.js',
-  '.claude/hooks/stop-check.js': 'hooks/stop-check.js',
-  '.claude/hooks/pre-compact.js': 'hooks/pre-compact.js',
-  '.claude/hooks/pre-tool-use.js': 'hooks/pre-tool-use.js',
-  '.claude/hooks/post-tool-use.js': 'hooks/post-tool-use.js',
-  '.claude/hooks/subagent-stop.js': 'hooks/subagent-stop.js',
-  '.github/workflows/branch-naming.yml': 'workflows/branch-naming.yml',
-  '.github/workflows/pr-naming.yml': 'workflows/pr-naming.yml',
-  '.github/workflows/lint.yml': 'workflows/lint.yml',
-  '.github/workflows/test.yml': 'workflows/test.yml',
-  '.github/workflows/security.yml': 'workflows/security.yml',
-  '.github/workflows/ci.yml': 'workflows/ci.yml',
-  '.github/workflows/commit-lint.yml': 'workflows/commit-lint.yml',
-  '.github/pull_request_template.md': 'pull_request_template.md'
-};
+// Flags that never take a value, so a following positional isn't swallowed
+const BOOLEAN_FLAGS = ['remote', 'force', 'dry-run', 'json', 'check', 'extract', 'drop-unknown'];
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      args._.push(arg);
+      continue;
+    }
+    const [key, inline] = arg.slice(2).split(/=(.*)/s);
+    if (inline !== undefined) {
+      args[key] = inline;
+    } else if (!BOOLEAN_FLAGS.includes(key) && argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+      args[key] = argv[++i];
+    } else {
+      args[key] = true;
+    }
+  }
+  return args;
+}
+
+function resolveConflictPolicy(args) {
+  if (args.force) return 'force';
+  if (typeof args['on-conflict'] === 'string') {
+    if (!CONFLICT_POLICIES.includes(args['on-conflict'])) {
+      throw new Error(`--on-conflict must be one of: ${CONFLICT_POLICIES.join(', ')}`);
+    }
+    return args['on-conflict'];
+  }
+  return process.stdin.isTTY ? 'ask' : 'skip';
+}
+
+function resolveSource(args) {
+  if (typeof args.source === 'string' || args.remote) {
+    return openSource({ source: args.source, remote: args.remote, repoUrl: REPO_URL });
+  }
+  // Default to the checkout this script lives in, unless it was copied into
+  // the project on its own.
+  if (path.resolve(__dirname) !== process.cwd()) {
+    return openSource({ source: __dirname });
+  }
+  throw new Error('No framework source. Pass --source <dir|tarball>, or --remote to download from ' + REPO_URL);
+}
+
+// Team profiles are recorded by manifest path, so they resolve for upgrade
+// and doctor even when the manifest was never registered
+function profileFile(profile) {
+  return profile.builtin ? null : profile.file;
+}
+
+// The profile a lockfile records (pm if none)
+function lockedProfile(lockfile) {
+  if (lockfile && lockfile.profileFile) return profiles.resolveProfile(lockfile.profileFile);
+  return profiles.resolveProfile((lockfile && lockfile.profile) || 'pm');
+}
+
+// Team profiles read their own templates first, then the framework's
+function resolveProfileSource(profile, args) {
+  const dirs = profile.sourceDirs.map(dir => openSource({ source: dir }));
+  return overlaySources([...dirs, resolveSource(args)]);
+}
 
-const DIRECTORIES = [
-  '.claude',
-  '.claude/commands',
-  '.claude/agents',
-  '.claude/hooks',
-  '.claude/pm-state',
-  '.github',
-  '.github/workflows'
-];
-
-console.log(`
+async function install(args) {
+  const onConflict = resolveConflictPolicy(args);
+  const profile = profiles.resolveProfile(typeof args.profile === 'string' ? args.profile : 'pm');
+  const src = resolveProfileSource(profile, args);
+
+  console.log(`
 ╔═══════════════════════════════════════════════════════════════════════════════╗
 ║                        CLAUDE PM FRAMEWORK SETUP                              ║
 ╚═══════════════════════════════════════════════════════════════════════════════╝
 `);
+  if (profile.name !== 'pm') console.log(`Profile: ${profile.name} — ${profile.description}\n`);
+
+  // Check if we're in a git repo
+  const isGitRepo = fs.existsSync('.git');
+
+  if (profile.gitHooks && !isGitRepo) {
+    console.log('📁 Initializing git repository...');
+    try {
+      execSync('git init', { stdio: 'inherit' });
+    } catch (e) {
+      console.error('Failed to initialize git repo. Please run: git init');
+    }
+  }
+
+  // Create directories
+  console.log('\n📂 Creating directory structure...');
+  for (const dir of profile.directories) {
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+      console.log(`   ✓ Created ${dir}/`);
+    } else {
+      console.log(`   - ${dir}/ already exists`);
+    }
+  }
+
+  // Seed PM state
+  const seeded = profile.seedState ? seedState() : [];
+  for (const file of seeded) {
+    console.log(`   ✓ Seeded ${STATE_DIR}/${file} (schema v${SCHEMA_VERSION})`);
+  }
+
+  // Copy framework files
+  console.log(`\n📋 Installing framework files from ${src.label}...`);
+  const { results, version } = await installFiles(src, profile.files, { onConflict, profile: profile.name, profileFile: profileFile(profile) });
+
+  const written = ['installed', 'backed-up', 'forced'];
+  for (const { dest, action } of results) {
+    if (profile.executable.includes(dest) && written.includes(action)) fs.chmodSync(dest, 0o755);
+  }
+
+  const missing = results.filter(r => r.action === 'missing');
+  const skipped = results.filter(r => r.action === 'skipped');
+  console.log(`\n📝 Wrote manifest to ${MANIFEST_PATH}`);
+  console.log(`🔒 Locked framework version ${version} in ${LOCKFILE_PATH}`);
+
+  if (missing.length > 0) {
+    console.error(`\n❌ ${missing.length} framework file(s) were not found in ${src.label}:`);
+    for (const { dest } of missing) console.error(`   - ${dest}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  // Git hooks enforcing the same conventions as CI
+  if (profile.gitHooks) {
+    try {
+      const { conventions, extracted } = gitConventions.loadConventions();
+      console.log(`\n📐 ${extracted ? 'Extracted' : 'Using'} branch and commit conventions ${extracted ? 'into' : 'in'} ${gitConventions.CONVENTIONS_PATH}`);
+      const hooks = gitConventions.installHooks(conventions);
+      gitConventions.syncFiles(conventions);
+      for (const { hook, action } of hooks) {
+        console.log(action === 'skipped'
+          ? `   ⚠ Kept existing .git/hooks/${hook}; run \`setup-pm git-hooks --force\` to replace it`
+          : `   ✓ .git/hooks/${hook} ${action}`);
+      }
+    } catch (e) {
+      console.log(`\n⚠ Git hooks not installed: ${e.message}`);
+    }
+  }
+
+  console.log(`
+╔═══════════════════════════════════════════════════════════════════════════════╗
+║                              SETUP COMPLETE                                   ║
+╚═══════════════════════════════════════════════════════════════════════════════╝
+`);
+
+  if (skipped.length > 0) {
+    console.log(`${skipped.length} file(s) kept their local changes. Re-run with --on-conflict backup
+or --force to replace them.
+`);
+  }
+
+  if (profile.nextSteps.length > 0) console.log(profile.nextSteps.join('\n') + '\n');
+}
+
+async function upgrade(args) {
+  const conflictStyle = typeof args.conflict === 'string' ? args.conflict : 'markers';
+  if (!CONFLICT_STYLES.includes(conflictStyle)) {
+    throw new Error(`--conflict must be one of: ${CONFLICT_STYLES.join(', ')}`);
+  }
+  const lockfile = readLockfile();
+  if (!lockfile) {
+    console.log(`⚠ No ${LOCKFILE_PATH} found. Files without a recorded base version will be`);
+    console.log('  replaced, with your copy kept alongside as <file>.orig.\n');
+  }
+
+  const profile = typeof args.profile === 'string' ? profiles.resolveProfile(args.profile) : lockedProfile(lockfile);
+  const src = resolveProfileSource(profile, args);
+  const dryRun = Boolean(args['dry-run']);
+
+  console.log(`🔄 Upgrading framework (${profile.name} profile) from ${src.label}${dryRun ? ' (dry run)' : ''}...`);
+  const { previousVersion, version, results } = await upgradeFiles(src, profile.files, {
+    conflictStyle,
+    dryRun,
+    profile: profile.name,
+    profileFile: profileFile(profile)
+  });
+
+  console.log(`
+UPGRADE SUMMARY (${previousVersion || 'unknown'} → ${version})
+───────────────`);
+  for (const line of summarize(results)) console.log(`  ${line}`);
+
+  const conflicts = results.filter(r => r.action === 'conflict');
+  if (conflicts.length > 0) {
+    console.log('\nResolve these files, then commit:');
+    for (const { dest, orig } of conflicts) {
+      console.log(`  - ${dest}${orig ? ` (compare with ${orig})` : ' (search for <<<<<<<)'}`);
+    }
+    process.exitCode = 1;
+  }
+}
+
+async function migrateState(args) {
+  const dryRun = Boolean(args['dry-run']);
+  const planned = [];
+  let failed = 0;
+
+  // Every file is migrated and validated before any is written, so a bad
+  // file never leaves the state directory half upgraded.
+  console.log(`🗃  Migrating ${STATE_DIR} to schema v${SCHEMA_VERSION}${dryRun ? ' (dry run)' : ''}...`);
+  for (const file of STATE_FILES) {
+    const target = path.join(STATE_DIR, file);
+    if (!fs.existsSync(target)) {
+      console.log(`   - ${file} does not exist`);
+      continue;
+    }
+
+    let original;
+    try {
+      original = JSON.parse(fs.readFileSync(target, 'utf8'));
+    } catch (e) {
+      console.error(`   ✗ ${file}: not valid JSON (${e.message}); fix it by hand`);
+      failed++;
+      continue;
+    }
 
-// Check if we're in a git repo
-const isGitRepo = fs.existsSync('.git');
+    let result;
+    try {
+      result = migrate(file, original);
+    } catch (e) {
+      console.error(`   ✗ ${file}: cannot be migrated (${e.message}); fix it by hand`);
+      failed++;
+      continue;
+    }
+    const { data, from, to, dropped } = result;
+    const problems = validate(file, data);
+    if (problems.length > 0) {
+      console.error(`   ✗ ${file}: still invalid after migration:`);
+      for (const problem of problems) console.error(`       ${problem}`);
+      failed++;
+      continue;
+    }
+    if (from === to) {
+      console.log(`   - ${file} is already v${to}`);
+      continue;
+    }
+    planned.push({ file, target, data, from, to, dropped });
+  }
 
-if (!isGitRepo) {
-  console.log('📁 Initializing git repository...');
+  // Older installs seeded an audit-log.json; its entries move to the JSONL log
+  let audit = null;
   try {
-    execSync('git init', { stdio: 'inherit' });
+    audit = migrateAuditLog({ dryRun: true });
   } catch (e) {
-    console.error('Failed to initialize git repo. Please run: git init');
+    console.error(`   ✗ ${LEGACY_AUDIT_LOG}: ${e.problems ? e.problems.join('; ') : e.message}; fix it by hand`);
+    failed++;
+  }
+
+  if (failed > 0) {
+    console.error(`\n❌ ${failed} file(s) cannot be migrated; nothing was written`);
+    process.exitCode = 1;
+    return;
+  }
+
+  for (const { file, target, data, from, to, dropped } of planned) {
+    let backup = `${target}.v${from}.bak`;
+    for (let n = 1; fs.existsSync(backup); n++) backup = `${target}.v${from}.${n}.bak`;
+    if (!dryRun) {
+      fs.copyFileSync(target, backup);
+      writeState(file, data);
+    }
+    console.log(`   ✓ ${file}: v${from} → v${to}${dryRun ? '' : ` (original kept as ${path.basename(backup)})`}`);
+    for (const note of dropped) console.log(`     ⚠ ${note}`);
+  }
+  if (audit) {
+    if (!dryRun) migrateAuditLog();
+    console.log(`   ✓ ${LEGACY_AUDIT_LOG}: ${audit.moved} entr${audit.moved === 1 ? 'y' : 'ies'} → ${AUDIT_LOG}${dryRun ? '' : ` (original kept as ${path.basename(audit.backup)})`}`);
+    for (const note of audit.dropped) console.log(`     ⚠ ${note}`);
   }
 }
 
-// Create directories
-console.log('\n📂 Creating directory structure...');
-for (const dir of DIRECTORIES) {
-  if (!fs.existsSync(dir)) {
-    fs.mkdirSync(dir, { recursive: true });
-    console.log(`   ✓ Created ${dir}/`);
-  } else {
-    console.log(`   - ${dir}/ already exists`);
+const DOCTOR_CATEGORIES = {
+  files: 'Framework files',
+  hooks: 'Hooks',
+  agents: 'Agents',
+  workflows: 'Workflows',
+  state: 'PM state'
+};
+
+// The profile the project was installed with (pm if unrecorded)
+function installedProfile() {
+  let lockfile = null;
+  try {
+    lockfile = readLockfile();
+  } catch (e) {
+    // An unreadable lockfile falls back to the default profile
+  }
+  try {
+    return lockedProfile(lockfile);
+  } catch (e) {
+    const name = (lockfile && (lockfile.profileFile || lockfile.profile)) || 'pm';
+    console.error(`⚠ Cannot resolve the installed profile "${name}" (${e.message.split('\n')[0]}); checking the manifest only`);
+    return { files: {}, seedState: true };
   }
 }
 
-console.log(`
-╔═══════════════════════════════════════════════════════════════════════════════╗
-║                              SETUP COMPLETE                                   ║
-╚═══════════════════════════════════════════════════════════════════════════════╝
+async function doctor(args) {
+  const installed = installedProfile();
+  const report = runDoctor({ frameworkFiles: installed.files, seedState: installed.seedState });
+  if (!report.ok) process.exitCode = 1;
 
-Directory structure created. Now you need to copy the framework files.
-
-OPTION 1: Clone the framework repo and copy files
-─────────────────────────────────────────────────
-  git clone https://github.com/USER/claude-framework /tmp/cf
-  cp -r /tmp/cf/.claude/* .claude/
-  cp -r /tmp/cf/.github/* .github/
-
-OPTION 2: If you have the framework locally
-───────────────────────────────────────────
-  cp -r /path/to/claude-framework/.claude/* .claude/
-  cp -r /path/to/claude-framework/.github/* .github/
-
-NEXT STEPS
-──────────
-1. Copy framework files (see above)
-2. Start Claude Code in this directory
-3. Run: /pm <project-name>
-4. Describe what you want to build
-
-EXAMPLE
-───────
-  $ claude
-  > /pm my-saas-app
-  > Build a SaaS application with user authentication,
-  > subscription billing via Stripe, and a dashboard
-  > showing usage metrics. Use Next.js 14, TypeScript,
-  > Prisma with PostgreSQL, and Tailwind CSS.
-
-The PM will then:
-  1. PLAN - Gather requirements, create project scope
-  2. DESIGN - Architecture, database schema, API design
-  3. IMPLEMENT - Write all the code (with code-critic blocking bad commits)
-  4. TEST - Write and run tests
-  5. REVIEW - Code review pass
-  6. DEPLOY - Setup deployment pipeline
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
 
-`);
+  console.log('🩺 Checking Claude PM Framework install...');
+  for (const [category, title] of Object.entries(DOCTOR_CATEGORIES)) {
+    const checks = report.checks.filter(c => c.category === category);
+    if (checks.length === 0) {
+      console.log(`\n${title}: not part of this profile`);
+      continue;
+    }
+    const passed = checks.filter(c => c.status === 'ok').length;
+    console.log(`\n${title} (${passed}/${checks.length} ok)`);
+    for (const c of checks) {
+      if (c.status === 'ok') continue;
+      console.log(`   ${c.status === 'error' ? '✗' : '⚠'} ${c.target}: ${c.message}`);
+    }
+  }
+
+  console.log(report.ok
+    ? `\n✅ Install is healthy (${report.warnings} warning(s))`
+    : `\n❌ ${report.errors} problem(s), ${report.warnings} warning(s)`);
+}
+
+async function ci(args, argv) {
+  process.exitCode = workflowRunner.main(argv);
+}
+
+async function testRun(args, argv) {
+  const separator = argv.indexOf('--');
+  const command = separator >= 0 ? argv.slice(separator + 1).join(' ') : 'npm test';
+  if (!command) throw new Error('Usage: setup-pm test-run [-- <test command>]');
+
+  const root = policyEngine.resolveRoot(process.cwd());
+  const stateDir = path.join(root, STATE_DIR);
+  if (!fs.existsSync(stateDir)) throw new Error(`${STATE_DIR} not found in ${root}; run setup-pm first`);
+
+  console.log(`🧪 Running ${command}\n`);
+  const run = spawnSync(command, { cwd: root, shell: true, stdio: 'inherit' });
+  const passed = run.status === 0;
+  const head = policyEngine.headCommit(root);
+  recordTestRun({ passed, command, head: head ? head.sha : null, dir: stateDir });
+
+  const at = head ? ` for ${head.sha.slice(0, 7)}` : '';
+  console.log(passed ? `\n✅ Tests passed; recorded${at}` : `\n❌ Tests failed; recorded${at}`);
+  process.exitCode = passed ? 0 : run.status || 1;
+}
+
+async function policy(args) {
+  const [, action, target] = args._;
+  const loaded = policyEngine.loadPolicy();
+
+  if (action === 'show') {
+    if (args.json) {
+      console.log(JSON.stringify(loaded, null, 2));
+      return;
+    }
+    console.log('🛡  Effective safeguards');
+    for (const [key, value] of Object.entries(loaded.safeguards)) console.log(`   ${key}: ${value}`);
+    console.log(`\n   ${loaded.protectedPatterns.length} protected pattern(s), ${loaded.forbiddenPatterns.length} forbidden pattern(s)`);
+    console.log(loaded.sources.length > 0 ? `   Loaded from:\n${loaded.sources.map(s => `     - ${s}`).join('\n')}` : '   No .claude-code configuration found');
+    return;
+  }
+
+  if (action !== 'replay' || !target) {
+    throw new Error('Usage: setup-pm policy show | setup-pm policy replay <payloads.json|.jsonl|dir>');
+  }
+
+  let projectState = null;
+  if (typeof args.state === 'string') projectState = JSON.parse(fs.readFileSync(args.state, 'utf8'));
+  const results = policyEngine.replay(policyEngine.readRecords(target), loaded, { projectState });
+  const mismatches = results.filter(r => !r.matched);
+  if (mismatches.length > 0) process.exitCode = 1;
+
+  if (args.json) {
+    console.log(JSON.stringify({ ok: mismatches.length === 0, results }, null, 2));
+    return;
+  }
+
+  for (const r of results) {
+    const icon = !r.matched ? '✗' : r.decision === 'allow' ? '✓' : '⛔';
+    const expected = r.matched ? '' : ` (expected ${r.expect})`;
+    console.log(`   ${icon} #${r.index + 1} ${r.tool}: ${r.decision}${expected}${r.reason ? ` — ${r.reason}` : ''}`);
+  }
+  console.log(mismatches.length === 0
+    ? `\n✅ ${results.length} payload(s) replayed`
+    : `\n❌ ${mismatches.length} of ${results.length} payload(s) did not get the expected decision`);
+}
+
+async function gitHooks(args) {
+  const check = Boolean(args.check);
+  const dryRun = check || Boolean(args['dry-run']);
+  const { conventions, extracted } = gitConventions.loadConventions({ dryRun, extract: Boolean(args.extract) });
+
+  const where = !extracted ? `in ${gitConventions.CONVENTIONS_PATH}` : dryRun ? 'from the workflows' : `into ${gitConventions.CONVENTIONS_PATH}`;
+  console.log(`📐 ${extracted ? 'Extracted' : 'Using'} conventions ${where}`);
+  console.log(`   branches: ${gitConventions.branchPattern(conventions)}`);
+  console.log(`   commits:  ${gitConventions.commitPattern(conventions)}`);
+
+  const hooks = gitConventions.installHooks(conventions, { force: Boolean(args.force), dryRun });
+  const files = gitConventions.syncFiles(conventions, { dryRun });
+
+  const verb = { updated: dryRun ? 'out of date' : 'updated', installed: dryRun ? 'not installed' : 'installed' };
+  console.log('');
+  for (const { file, action } of files) {
+    if (action === 'missing') console.log(`   - ${file} not found`);
+    else console.log(`   ${action === 'unchanged' ? '✓' : '↻'} ${file} ${verb[action] || 'in sync'}`);
+  }
+  for (const { hook, path: hookPath, action } of hooks) {
+    if (action === 'skipped') console.log(`   ⚠ ${hookPath} was not written by setup-pm; kept (use --force to replace)`);
+    else console.log(`   ${action === 'unchanged' ? '✓' : '↻'} ${hookPath} ${verb[action] || (action === 'unchanged' ? 'up to date' : action)}`);
+  }
+
+  const drift = [...files, ...hooks].filter(r => r.action !== 'unchanged' && r.action !== 'missing');
+  if (check && drift.length > 0) {
+    console.log(`\n❌ ${drift.length} file(s) disagree with ${gitConventions.CONVENTIONS_PATH}; run \`setup-pm git-hooks\``);
+    process.exitCode = 1;
+  }
+}
+
+function agentFiles(targets) {
+  return targets.flatMap(target => (fs.statSync(target).isDirectory()
+    ? fs.readdirSync(target).filter(name => agentTools.formatOf(name)).sort().map(name => path.join(target, name))
+    : [target]));
+}
+
+async function convertAgents(args, targets) {
+  if (targets.length === 0) throw new Error('Usage: setup-pm agents convert <file|dir...> [--to md|yml] [--out <dir>]');
+  const to = typeof args.to === 'string' ? args.to : undefined;
+  const dryRun = Boolean(args['dry-run']);
+  let failed = 0;
+
+  for (const file of agentFiles(targets)) {
+    let result;
+    try {
+      result = agentTools.convertAgent(file, { to, dropUnknown: Boolean(args['drop-unknown']) });
+    } catch (e) {
+      console.error(`   ✗ ${e.message}`);
+      failed++;
+      continue;
+    }
+
+    const outDir = typeof args.out === 'string' ? args.out : agentTools.DEFAULT_DIRS[result.to];
+    const target = path.join(outDir, `${result.name}.${result.to}`);
+    const notes = result.changes.length > 0 ? ` (${result.changes.join(', ')})` : '';
+    if (result.unknown.length > 0 && !args['drop-unknown']) {
+      console.error(`   ✗ ${file}: unknown tool(s) ${result.unknown.join(', ')}; fix them or pass --drop-unknown`);
+      failed++;
+      continue;
+    }
+    if (fs.existsSync(target) && fs.readFileSync(target, 'utf8') !== result.text && !args.force) {
+      console.log(`   - ${target} already exists; kept (use --force to overwrite)`);
+      continue;
+    }
+    if (!dryRun) {
+      fs.mkdirSync(outDir, { recursive: true });
+      fs.writeFileSync(target, result.text);
+    }
+    console.log(`   ✓ ${file} → ${target}${notes}`);
+    for (const problem of result.problems) console.log(`     ⚠ ${problem}`);
+  }
+
+  if (failed > 0) process.exitCode = 1;
+  else if (!dryRun) console.log('\nRemove the originals once you have checked the results; `setup-pm agents check` reports agents defined twice.');
+}
+
+async function agents(args) {
+  const [, action = 'list', ...targets] = args._;
+
+  if (action === 'convert') {
+    await convertAgents(args, targets);
+    return;
+  }
+
+  const dirs = targets.length > 0 ? targets : undefined;
+  if (action === 'phases') {
+    const phases = agentTools.phaseAgents({ dirs });
+    if (phases.some(p => p.agents.some(a => !a.ok))) process.exitCode = 1;
+    if (args.json) {
+      console.log(JSON.stringify(phases, null, 2));
+      return;
+    }
+    console.log('🧭 Agents per PM phase');
+    for (const { phase, agents: needed } of phases) {
+      console.log(`\n${phase}`);
+      for (const agent of needed) {
+        const detail = agent.ok ? agent.file : `${agent.file ? `${agent.file}: ` : ''}${agent.problems.join('; ')}`;
+        console.log(`   ${agent.ok ? '✓' : '✗'} ${agent.name.padEnd(22)} ${detail}`);
+      }
+    }
+    return;
+  }
+
+  if (action !== 'list' && action !== 'check') {
+    throw new Error('Usage: setup-pm agents [list|check|phases] [dirs...] | setup-pm agents convert <file|dir...>');
+  }
+
+  const report = agentTools.checkAgents({ dirs });
+  if (!report.ok) process.exitCode = 1;
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  const problems = report.agents.filter(a => a.problems.length > 0);
+  console.log(`🤖 ${report.agents.length} agent(s)`);
+  const warned = report.agents.filter(a => a.problems.length === 0 && a.warnings.length > 0);
+  for (const agent of report.agents) {
+    if (action === 'check' && agent.problems.length === 0 && agent.warnings.length === 0) continue;
+    const tools = agent.tools.length > 0 ? ` [${agent.tools.join(', ')}]` : '';
+    const icon = agent.problems.length > 0 ? '✗' : agent.warnings.length > 0 ? '⚠' : '✓';
+    console.log(`   ${icon} ${agent.name.padEnd(22)} ${agent.file}${tools}`);
+    for (const problem of agent.problems) console.log(`       ${problem}`);
+    for (const warning of agent.warnings) console.log(`       ⚠ ${warning}`);
+  }
+  console.log(problems.length === 0
+    ? `\n✅ All agents are valid${warned.length > 0 ? ` (${warned.length} with warnings)` : ''}`
+    : `\n❌ ${problems.length} agent(s) with problems${Object.keys(report.duplicates).length > 0 ? `, ${Object.keys(report.duplicates).length} duplicated name(s)` : ''}`);
+}
+
+async function profile(args) {
+  const [, action, target] = args._;
+
+  if (action === 'list' || action === undefined) {
+    const entries = profiles.listProfiles();
+    if (args.json) {
+      console.log(JSON.stringify(entries, null, 2));
+      return;
+    }
+    console.log('📦 Install profiles (setup-pm --profile <name>)');
+    for (const entry of entries) {
+      const origin = entry.builtin ? '' : ` [${entry.file}]`;
+      console.log(`   ${entry.error ? '✗' : '•'} ${entry.name.padEnd(20)} ${entry.error || entry.description}${origin}`);
+    }
+    return;
+  }
+
+  if (action === 'show' && target) {
+    const resolved = profiles.resolveProfile(target);
+    if (args.json) {
+      console.log(JSON.stringify(resolved, null, 2));
+      return;
+    }
+    console.log(`📦 ${resolved.name} (${resolved.file})`);
+    if (resolved.description) console.log(`   ${resolved.description}`);
+    console.log(`\n   ${Object.keys(resolved.files).length} file(s):`);
+    for (const [dest, source] of Object.entries(resolved.files)) console.log(`     ${dest} ← ${source}`);
+    if (resolved.directories.length > 0) console.log(`\n   Directories: ${resolved.directories.join(', ')}`);
+    console.log(`   Seeds PM state: ${resolved.seedState ? 'yes' : 'no'}; git hooks: ${resolved.gitHooks ? 'yes' : 'no'}`);
+    return;
+  }
+
+  if (action === 'add' && target) {
+    const { name, file, previous } = profiles.registerProfile(target);
+    console.log(`✓ Registered profile "${name}" → ${file}${previous && previous !== file ? ` (was ${previous})` : ''}`);
+    console.log(`  Install it with: setup-pm --profile ${name}`);
+    return;
+  }
+
+  if (action === 'remove' && target) {
+    const { name, file } = profiles.unregisterProfile(target);
+    console.log(`✓ Removed profile "${name}" (${file} was left in place)`);
+    return;
+  }
+
+  throw new Error('Usage: setup-pm profile list | show <name> | add <manifest.json> | remove <name>');
+}
+
+async function report(args) {
+  const out = typeof args.out === 'string' ? args.out : missionReport.DEFAULT_OUT;
+  const dryRun = Boolean(args['dry-run']);
+  if (!fs.existsSync(STATE_DIR)) {
+    throw new Error(`No ${STATE_DIR} here; run \`setup-pm report\` from the project root`);
+  }
+  const data = missionReport.buildReport();
+
+  if (args.json) {
+    console.log(JSON.stringify(data, null, 2));
+    return;
+  }
+
+  console.log(`📋 Writing mission report to ${out}${dryRun ? ' (dry run)' : ''}...`);
+  const marks = { written: '✓', unchanged: '-', removed: '✗' };
+  for (const { file, action } of missionReport.writeReport(data, { out, dryRun })) {
+    console.log(`   ${marks[action]} ${file} ${action === 'written' ? '' : `(${action})`}`.trimEnd());
+  }
+
+  const complete = data.phases.filter(p => p.status === 'complete' || p.status === 'skipped').length;
+  console.log(`\n   Phases: ${complete}/${data.phases.length} complete · Tasks: ${data.tasks.byStatus.done}/${data.tasks.total} done · Open debt: ${data.debt.open.length} · Decisions: ${data.decisions.length}`);
+  const deploy = data.phases.find(p => p.phase === 'DEPLOY');
+  if (deploy.status !== 'complete') {
+    console.log(`   ⚠ DEPLOY is ${deploy.status}; the report describes a mission still in progress`);
+  }
+}
+
+const COMMANDS = {
+  install,
+  upgrade,
+  doctor,
+  'migrate-state': migrateState,
+  ci,
+  'test-run': testRun,
+  policy,
+  'git-hooks': gitHooks,
+  profile,
+  agents,
+  report
+};
+
+async function main() {
+  const argv = process.argv.slice(2);
+  const args = parseArgs(argv);
+  const [command = 'install'] = args._;
+  if (!COMMANDS[command]) {
+    throw new Error(`Unknown command "${command}". Available: ${Object.keys(COMMANDS).join(', ')}`);
+  }
+  // Commands that parse their own options get everything after the name
+  await COMMANDS[command](args, argv.slice(argv.indexOf(command) + 1));
+}
+
+main().catch(err => {
+  console.error(`\n❌ ${err.message}`);
+  process.exit(1);
+});
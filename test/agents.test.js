@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { agentWarnings, checkAgents, validateAgent } = require('../lib/agents');
+const { runDoctor } = require('../lib/doctor');
+
+const REPO = path.join(__dirname, '..');
+
+test('unknown tools are warnings, not problems', () => {
+  const data = { name: 'reviewer', description: 'Reviews code', tools: 'Read, Bash, Git, Hammer' };
+  assert.deepStrictEqual(validateAgent(data), []);
+  assert.deepStrictEqual(agentWarnings(data), ['Unknown tool(s): Git (use Bash), Hammer']);
+  assert.deepStrictEqual(validateAgent({ name: 'Reviewer', description: '', tools: [] }), [
+    '"name" must be lowercase words joined by hyphens',
+    '"description" must be a non-empty string',
+    '"tools" must list at least one tool'
+  ]);
+});
+
+test('the shipped agents are valid', () => {
+  const report = checkAgents({ root: REPO });
+  assert.ok(report.agents.length > 0);
+  assert.deepStrictEqual(report.agents.filter(a => a.problems.length > 0).map(a => a.file), []);
+  assert.deepStrictEqual(report.agents.filter(a => a.warnings.length > 0).map(a => a.file), []);
+  assert.strictEqual(report.ok, true);
+});
+
+test('doctor warns about unknown tools instead of failing', t => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'agents-test-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(root, '.claude/agents'), { recursive: true });
+  fs.writeFileSync(path.join(root, '.claude/agents/tester.md'), '---\nname: tester\ndescription: Runs tests\ntools: Read, Bash, Git\n---\nYou test.\n');
+
+  const checks = runDoctor({ root }).checks.filter(c => c.category === 'agents');
+  assert.deepStrictEqual(checks.map(c => [c.target, c.status, c.message]), [
+    ['.claude/agents/tester.md', 'warn', 'Unknown tool(s): Git (use Bash)']
+  ]);
+});
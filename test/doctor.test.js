@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runDoctor } = require('../lib/doctor');
+const { seedState } = require('../lib/pm-state');
+
+// A project with one broken thing per category
+function brokenInstall(t) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'doctor-test-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const write = (file, text) => {
+    fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), text);
+  };
+
+  seedState({ dir: path.join(root, '.claude/pm-state') });
+  write('.claude/pm-state/task-tracker.json', JSON.stringify([{ title: 'Write API' }]));
+  write('.claude/pm-state/manifest.json', JSON.stringify({
+    files: {
+      '.claude/settings.json': { sha256: 'x', action: 'installed' },
+      'docs/guide.md': { sha256: null, action: 'missing' }
+    }
+  }));
+  write('.claude/settings.json', JSON.stringify({
+    hooks: {
+      PreToolUse: [{ matcher: '*', hooks: [{ type: 'command', command: 'node "$CLAUDE_PROJECT_DIR"/.claude/hooks/pre-tool-use.js' }] }],
+      Stop: [{ hooks: [{ type: 'command', command: 'node .claude/hooks/stop-check.js' }] }]
+    }
+  }));
+  write('.claude/hooks/pre-tool-use.js', 'function (\n');
+  write('.claude/hooks/stop-check.js', 'process.exit(0);\n');
+  write('.claude/agents/tester.md', '---\nname: tester\ndescription: Runs tests\ntools: Read, Bash\n---\nYou test.\n');
+  write('.claude/agents/reviewer.md', '---\nname: Code Reviewer\ndescription: Reviews code\ntools: []\n---\nYou review.\n');
+  write('.github/workflows/test.yml', 'on: push\njobs:\n  test:\n    runs-on: ubuntu-latest\n    steps:\n      - run: npm test\n');
+  write('.github/workflows/lint.yml', 'name: Lint\non: push\n');
+
+  const frameworkFiles = {
+    '.claude/settings.json': 'settings.json',
+    '.claude/agents/tester.md': 'agents/tester.md',
+    '.github/workflows/test.yml': 'workflows/test.yml'
+  };
+  return runDoctor({ root, frameworkFiles });
+}
+
+const problems = (report, category) => report.checks
+  .filter(c => c.category === category && c.status !== 'ok')
+  .map(c => [c.target, c.status, c.message]);
+
+test('a hook script with a syntax error is an error; valid hooks pass', t => {
+  const report = brokenInstall(t);
+  const hooks = report.checks.filter(c => c.category === 'hooks');
+  assert.deepStrictEqual(hooks.map(c => [c.target, c.status]), [
+    ['.claude/hooks/pre-tool-use.js', 'error'],
+    ['.claude/hooks/stop-check.js', 'ok']
+  ]);
+  assert.match(hooks[0].message, /^Syntax error: SyntaxError/);
+});
+
+test('a file the source lacked at install time is reported as missing', t => {
+  assert.deepStrictEqual(problems(brokenInstall(t), 'files'), [
+    ['docs/guide.md', 'error', 'Was not found in the framework source at install time; re-run setup-pm with a complete source']
+  ]);
+});
+
+test('invalid agent frontmatter is an error', t => {
+  assert.deepStrictEqual(problems(brokenInstall(t), 'agents'), [
+    ['.claude/agents/reviewer.md', 'error', '"name" must be lowercase words joined by hyphens; "tools" must list at least one tool; "name" (Code Reviewer) does not match the file name']
+  ]);
+});
+
+test('a workflow without jobs is an error', t => {
+  assert.deepStrictEqual(problems(brokenInstall(t), 'workflows'), [
+    ['.github/workflows/lint.yml', 'error', 'Missing "jobs"']
+  ]);
+});
+
+test('state in an older format points to migrate-state', t => {
+  const report = brokenInstall(t);
+  const [outdated, ...rest] = problems(report, 'state');
+  assert.deepStrictEqual(rest, []);
+  assert.deepStrictEqual(outdated.slice(0, 2), ['.claude/pm-state/task-tracker.json', 'error']);
+  assert.match(outdated[2], /^Uses an older format; run `setup-pm migrate-state`/);
+  assert.deepStrictEqual([report.ok, report.errors], [false, 5]);
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { checkCommitMessage, extractConventions, renderHook, syncFiles, validateConventions } = require('../lib/git-conventions');
+
+const REPO = path.join(__dirname, '..');
+const conventions = extractConventions({ root: REPO });
+
+test('the shipped workflows yield commitlint config-conventional rules', () => {
+  assert.deepStrictEqual(validateConventions(conventions), []);
+  assert.strictEqual(conventions.commit.headerMaxLength, 100);
+  assert.strictEqual(conventions.commit.subjectCase, null);
+  const actions = syncFiles(conventions, { root: REPO, dryRun: true }).map(r => r.action);
+  assert.deepStrictEqual(actions.slice(0, 3), ['unchanged', 'unchanged', 'unchanged']);
+});
+
+test('the header length limit covers type and scope', () => {
+  const header = `feat(parser): ${'a'.repeat(86)}`;
+  assert.strictEqual(header.length, 100);
+  assert.deepStrictEqual(checkCommitMessage(header, conventions), []);
+  assert.deepStrictEqual(checkCommitMessage(header + 'b', conventions), ['Header must be at most 100 characters, not 101']);
+});
+
+test('subjects must not end with a full stop', () => {
+  assert.deepStrictEqual(checkCommitMessage('fix: handle empty input.', conventions), ['Subject must not end with a full stop']);
+  assert.deepStrictEqual(checkCommitMessage('fix: handle empty input...\n\nBody ends with one.', conventions), ['Subject must not end with a full stop']);
+});
+
+test('types must be lower-case and from the list', () => {
+  assert.deepStrictEqual(checkCommitMessage('Feat: add login', conventions), [
+    'Type "Feat" must be lower-case',
+    'Type "Feat" must be one of: feat, fix, docs, style, refactor, perf, test, build, ci, chore, revert'
+  ]);
+  assert.deepStrictEqual(checkCommitMessage('feature: add login', conventions).length, 1);
+  assert.deepStrictEqual(checkCommitMessage('feat(API): add login', conventions), ['Scope (API) must match [a-z0-9._-]+']);
+  assert.deepStrictEqual(checkCommitMessage('feat:', conventions), ['Subject must follow ": " and not be empty']);
+});
+
+test('git-generated messages and comments are ignored', () => {
+  assert.deepStrictEqual(checkCommitMessage("Merge branch 'main' into feat/x", conventions), []);
+  assert.deepStrictEqual(checkCommitMessage('# Please enter a message\nfix: trim input\n', conventions), []);
+});
+
+test('subject-case follows commit-lint.yml', () => {
+  const strict = JSON.parse(JSON.stringify(conventions));
+  strict.commit.subjectCase = ['sentence-case', 'start-case', 'pascal-case', 'upper-case'];
+  assert.deepStrictEqual(checkCommitMessage('feat: add login', strict), []);
+  assert.deepStrictEqual(checkCommitMessage('feat: 2fa for admins', strict), []);
+  assert.deepStrictEqual(checkCommitMessage('feat: `README` tweaks', strict), []);
+  assert.deepStrictEqual(checkCommitMessage('feat: Add login', strict), ['Subject must not be sentence-case']);
+  assert.deepStrictEqual(checkCommitMessage('feat: Add Login', strict), ['Subject must not be sentence-case or start-case']);
+  assert.deepStrictEqual(checkCommitMessage('feat: ADD LOGIN', strict), ['Subject must not be sentence-case or start-case or upper-case']);
+});
+
+test('commitlint rules round-trip through commit-lint.yml', t => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'conventions-test-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  for (const file of ['branch-naming.yml', 'commit-lint.yml', 'pr-naming.yml']) {
+    fs.mkdirSync(path.join(root, '.github/workflows'), { recursive: true });
+    fs.copyFileSync(path.join(REPO, '.github/workflows', file), path.join(root, '.github/workflows', file));
+  }
+
+  const changed = JSON.parse(JSON.stringify(conventions));
+  changed.commit.headerMaxLength = 72;
+  changed.commit.subjectCase = ['upper-case'];
+  syncFiles(changed, { root });
+  const text = fs.readFileSync(path.join(root, '.github/workflows/commit-lint.yml'), 'utf8');
+  assert.match(text, /'header-max-length': \[2, 'always', 72\]/);
+  assert.match(text, /'subject-case': \[2, 'never', \['upper-case'\]\]/);
+  assert.deepStrictEqual(extractConventions({ root }).commit, changed.commit);
+});
+
+test('a header-max-length rule without a length keeps the default limit', t => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'conventions-test-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(root, '.github/workflows'), { recursive: true });
+  for (const file of ['branch-naming.yml', 'commit-lint.yml', 'pr-naming.yml']) {
+    fs.copyFileSync(path.join(REPO, '.github/workflows', file), path.join(root, '.github/workflows', file));
+  }
+  const changed = JSON.parse(JSON.stringify(conventions));
+  changed.commit.headerMaxLength = 72;
+  syncFiles(changed, { root });
+  const file = path.join(root, '.github/workflows/commit-lint.yml');
+  const text = fs.readFileSync(file, 'utf8');
+
+  for (const rule of ['[2]', "[2, 'always']", "[2, 'always', 'long']"]) {
+    fs.writeFileSync(file, text.replace("[2, 'always', 72]", rule));
+    assert.strictEqual(extractConventions({ root }).commit.headerMaxLength, 100, rule);
+  }
+  fs.writeFileSync(file, text.replace("[2, 'always', 72]", '[0]'));
+  assert.strictEqual(extractConventions({ root }).commit.headerMaxLength, null);
+});
+
+test('the generated commit-msg hook applies the same checks', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'conventions-hook-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const hook = path.join(dir, 'commit-msg');
+  const message = path.join(dir, 'COMMIT_EDITMSG');
+  fs.writeFileSync(hook, renderHook('commit-msg', conventions));
+
+  fs.writeFileSync(message, 'fix: trim input\n');
+  execFileSync(process.execPath, [hook, message], { stdio: 'pipe' });
+
+  fs.writeFileSync(message, 'fix: trim input.\n');
+  assert.throws(() => execFileSync(process.execPath, [hook, message], { stdio: 'pipe' }), err => /full stop/.test(String(err.stderr)));
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { openSource } = require('../lib/source');
+const { installFiles, readBase, readLockfile, readManifest } = require('../lib/install');
+const { runDoctor } = require('../lib/doctor');
+
+function fixture(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'install-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const source = path.join(dir, 'source');
+  const root = path.join(dir, 'project');
+  fs.mkdirSync(path.join(source, 'templates'), { recursive: true });
+  fs.mkdirSync(root);
+  fs.writeFileSync(path.join(source, 'VERSION'), '2.0.0\n');
+  fs.writeFileSync(path.join(source, 'templates/notes.md'), '# Notes\n');
+  return { src: openSource({ source }), root };
+}
+
+const quiet = () => {};
+
+test('profiles without PM state get only the install metadata in .claude/pm-state', async t => {
+  const { src, root } = fixture(t);
+  const files = { 'docs/notes.md': 'templates/notes.md' };
+  await installFiles(src, files, { root, profile: 'new-project', log: quiet });
+
+  assert.deepStrictEqual(fs.readdirSync(path.join(root, '.claude/pm-state')).sort(), ['base', 'framework.lock.json', 'manifest.json']);
+  assert.deepStrictEqual(Object.keys(readManifest(root).files), ['docs/notes.md']);
+  assert.strictEqual(readLockfile(root).frameworkVersion, '2.0.0');
+  assert.strictEqual(readBase('docs/notes.md', root).toString(), '# Notes\n');
+
+  // Nothing in the profile ships hooks, agents or workflows, so none are expected
+  const report = runDoctor({ root, frameworkFiles: files, seedState: false });
+  assert.deepStrictEqual(report.checks.filter(c => c.status !== 'ok'), []);
+  assert.deepStrictEqual([...new Set(report.checks.map(c => c.category))], ['files', 'state']);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { merge3 } = require('../lib/merge');
+
+const BASE = 'name: tester\ntools: Read, Bash\n\n## Rules\n- write tests\n- run tests\n- report\n';
+
+test('clean merge applies non-overlapping edits from both sides', () => {
+  const local = BASE.replace('tools: Read, Bash', 'tools: Read, Bash, Grep');
+  const incoming = BASE.replace('- report\n', '- report\n- attach coverage\n');
+  const { text, conflicts } = merge3(BASE, local, incoming);
+  assert.strictEqual(conflicts, 0);
+  assert.strictEqual(text, 'name: tester\ntools: Read, Bash, Grep\n\n## Rules\n- write tests\n- run tests\n- report\n- attach coverage\n');
+});
+
+test('a side left unchanged takes the other side verbatim', () => {
+  const incoming = BASE.replace('## Rules', '## Testing Rules');
+  assert.deepStrictEqual(merge3(BASE, BASE, incoming), { text: incoming, conflicts: 0 });
+  assert.deepStrictEqual(merge3(BASE, incoming, BASE), { text: incoming, conflicts: 0 });
+});
+
+test('identical edits on both sides merge cleanly', () => {
+  const edited = BASE.replace('- run tests', '- run all tests');
+  assert.deepStrictEqual(merge3(BASE, edited, edited), { text: edited, conflicts: 0 });
+});
+
+test('different edits to the same line conflict with labelled markers', () => {
+  const local = BASE.replace('- run tests', '- run tests twice');
+  const incoming = BASE.replace('- run tests', '- run tests in CI');
+  const { text, conflicts } = merge3(BASE, local, incoming, { localLabel: 'yours', incomingLabel: 'v2' });
+  assert.strictEqual(conflicts, 1);
+  assert.strictEqual(text, [
+    'name: tester\ntools: Read, Bash\n\n## Rules\n- write tests\n',
+    '<<<<<<< yours\n- run tests twice\n=======\n- run tests in CI\n>>>>>>> v2\n',
+    '- report\n'
+  ].join(''));
+});
+
+test('edits to adjacent lines conflict, as in diff3', () => {
+  const local = BASE.replace('- write tests', '- write unit tests');
+  const incoming = BASE.replace('- run tests', '- run the suite');
+  const { text, conflicts } = merge3(BASE, local, incoming);
+  assert.strictEqual(conflicts, 1);
+  assert.match(text, /<<<<<<< local\n- write unit tests\n- run tests\n=======\n- write tests\n- run the suite\n>>>>>>> framework\n- report\n$/);
+});
+
+test('edits separated by an unchanged line merge cleanly', () => {
+  const local = BASE.replace('- write tests', '- write unit tests');
+  const incoming = BASE.replace('- report', '- report back');
+  const { text, conflicts } = merge3(BASE, local, incoming);
+  assert.strictEqual(conflicts, 0);
+  assert.match(text, /- write unit tests\n- run tests\n- report back\n$/);
+});
+
+test('deletion on one side and an edit elsewhere on the other both apply', () => {
+  const local = BASE.replace('- run tests\n', '');
+  const incoming = BASE.replace('name: tester', 'name: qa-tester');
+  const { text, conflicts } = merge3(BASE, local, incoming);
+  assert.strictEqual(conflicts, 0);
+  assert.strictEqual(text, 'name: qa-tester\ntools: Read, Bash\n\n## Rules\n- write tests\n- report\n');
+});
+
+test('conflicting hunks without a trailing newline keep the markers on their own lines', () => {
+  const { text, conflicts } = merge3('a\nb', 'a\nlocal', 'a\nincoming');
+  assert.strictEqual(conflicts, 1);
+  assert.strictEqual(text, 'a\n<<<<<<< local\nlocal\n=======\nincoming\n>>>>>>> framework\n');
+});
+
+test('both sides adding to an empty base conflict unless they agree', () => {
+  assert.deepStrictEqual(merge3('', 'x\n', 'x\n'), { text: 'x\n', conflicts: 0 });
+  assert.strictEqual(merge3('', 'x\n', 'y\n').conflicts, 1);
+});
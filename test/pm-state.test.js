@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { appendAudit, migrate, migrateAuditLog, readAudit, seedState, validate } = require('../lib/pm-state');
+
+test('legacy collections drop records that are not objects and say so', () => {
+  const { data, from, to, dropped } = migrate('task-tracker.json', [{ title: 'Write API', status: 'todo' }, null, 'stray']);
+  assert.deepStrictEqual([from, to], [0, 1]);
+  assert.deepStrictEqual(data.tasks.map(t => [t.id, t.status]), [['T-1', 'pending']]);
+  assert.deepStrictEqual(dropped, ['tasks[1] is null, not a record; dropped', 'tasks[2] is string, not a record; dropped']);
+  assert.deepStrictEqual(validate('task-tracker.json', data), []);
+});
+
+test('records keyed by id keep their ids', () => {
+  const { data, dropped } = migrate('decisions.json', { adrs: { 'ADR-7': { title: 'Use Postgres', decision: 'Postgres' }, 'ADR-8': null } });
+  assert.deepStrictEqual(data.decisions.map(d => d.id), ['ADR-7']);
+  assert.deepStrictEqual(dropped, ['decisions.ADR-8 is null, not a record; dropped']);
+});
+
+test('legacy project state marks the current phase in progress', () => {
+  const { data } = migrate('project-state.json', { phase: 'implement', completedPhases: ['plan', 'design'] });
+  assert.strictEqual(data.currentPhase, 'IMPLEMENT');
+  assert.deepStrictEqual(['PLAN', 'DESIGN', 'IMPLEMENT', 'TEST'].map(p => data.phases[p].status), ['complete', 'complete', 'in-progress', 'pending']);
+  assert.deepStrictEqual(validate('project-state.json', data), []);
+});
+
+test('legacy phase statuses are renamed', () => {
+  const { data } = migrate('project-state.json', { currentPhase: 'TEST', phases: { TEST: { status: 'in_progress' }, PLAN: { status: 'completed' } } });
+  assert.deepStrictEqual([data.phases.PLAN.status, data.phases.TEST.status], ['complete', 'in-progress']);
+});
+
+test('project state that is not an object cannot be migrated', () => {
+  assert.throws(() => migrate('project-state.json', ['PLAN']), /must hold a JSON object, not array/);
+});
+
+test('an old audit-log.json moves to the front of audit-log.jsonl', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pm-state-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  assert.ok(!seedState({ dir }).includes('audit-log.json'));
+  appendAudit({ timestamp: '2026-05-02T10:00:00.000Z', action: 'policy', tool: 'Edit', files: ['b.js'] }, { dir });
+  fs.writeFileSync(path.join(dir, 'audit-log.json'), JSON.stringify({ operations: [{ operation: 'write', time: '2026-05-01T09:00:00.000Z', files: ['a.js'] }, null] }));
+
+  assert.deepStrictEqual(migrateAuditLog({ dir, dryRun: true }).moved, 1);
+  assert.ok(fs.existsSync(path.join(dir, 'audit-log.json')));
+  const { moved, dropped, backup } = migrateAuditLog({ dir });
+  assert.deepStrictEqual([moved, dropped, path.basename(backup)], [1, ['entry 2: $ must be object, got null; dropped'], 'audit-log.json.bak']);
+  assert.deepStrictEqual(readAudit({ dir }).map(e => [e.action, e.files]), [['write', ['a.js']], ['policy', ['b.js']]]);
+  assert.strictEqual(migrateAuditLog({ dir }), null);
+});
@@ -0,0 +1,175 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const { execFileSync } = require('child_process');
+const { decide, evaluate, runHook } = require('../lib/policy');
+const { appendAudit, readAudit } = require('../lib/pm-state');
+
+const policy = safeguards => ({
+  safeguards: Object.assign({ protect_core_files: false, max_files_per_operation: null, max_files_window_minutes: 10, require_test_pass: false }, safeguards),
+  protectedPatterns: [],
+  forbiddenPatterns: [],
+  sources: []
+});
+
+const edit = (file, session) => ({ tool_name: 'Edit', session_id: session, tool_input: { file_path: file } });
+const commit = { tool_name: 'Bash', tool_input: { command: 'git commit -m "feat: x"' } };
+const allowed = (session, files, minutesAgo) => ({
+  action: 'policy',
+  decision: 'allow',
+  session,
+  files,
+  timestamp: new Date(Date.now() - minutesAgo * 60000).toISOString()
+});
+
+function project(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'policy-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  execFileSync('git', ['init', '-q', dir]);
+  fs.mkdirSync(path.join(dir, '.claude-code'));
+  fs.writeFileSync(path.join(dir, '.claude-code/config.yml'), 'safeguards:\n  protect_core_files: true\n  max_files_per_operation: 3\n');
+  fs.mkdirSync(path.join(dir, 'src'));
+  return dir;
+}
+
+function withoutProjectDir(t) {
+  const saved = process.env.CLAUDE_PROJECT_DIR;
+  delete process.env.CLAUDE_PROJECT_DIR;
+  t.after(() => {
+    if (saved !== undefined) process.env.CLAUDE_PROJECT_DIR = saved;
+  });
+}
+
+test('a session in a subdirectory is checked against the git top level', t => {
+  withoutProjectDir(t);
+  const root = project(t);
+  const cwd = path.join(root, 'src');
+
+  const result = decide(Object.assign(edit('../.claude/hooks/pre-tool-use.js'), { cwd }));
+  assert.strictEqual(result.decision, 'deny');
+  assert.deepStrictEqual(result.files, ['.claude/hooks/pre-tool-use.js']);
+  assert.strictEqual(fs.existsSync(path.join(cwd, '.claude')), false);
+  assert.strictEqual(readAudit({ dir: path.join(root, '.claude/pm-state') }).length, 1);
+});
+
+test('CLAUDE_PROJECT_DIR overrides the git top level', t => {
+  const root = project(t);
+  const saved = process.env.CLAUDE_PROJECT_DIR;
+  process.env.CLAUDE_PROJECT_DIR = root;
+  t.after(() => {
+    if (saved === undefined) delete process.env.CLAUDE_PROJECT_DIR;
+    else process.env.CLAUDE_PROJECT_DIR = saved;
+  });
+
+  const result = decide(Object.assign(edit('.github/workflows/ci.yml'), { cwd: path.join(root, 'src') }));
+  assert.deepStrictEqual([result.decision, result.files], ['allow', ['src/.github/workflows/ci.yml']]);
+  assert.strictEqual(decide(Object.assign(edit(path.join(root, '.claude/settings.json')), { cwd: path.join(root, 'src') })).decision, 'deny');
+});
+
+test('tools the policy does not govern are allowed without reading the policy, and logged', t => {
+  withoutProjectDir(t);
+  const root = project(t);
+  fs.writeFileSync(path.join(root, '.claude-code/config.yml'), 'safeguards: &broken\n');
+  assert.strictEqual(decide({ tool_name: 'Read', cwd: root, tool_input: { file_path: '.claude/settings.json' } }).decision, 'allow');
+  const entries = readAudit({ dir: path.join(root, '.claude/pm-state') });
+  assert.deepStrictEqual(entries.map(e => [e.tool, e.decision, e.files]), [['Read', 'allow', []]]);
+});
+
+test('max_files_per_operation only counts the session within the window', () => {
+  const limit = policy({ max_files_per_operation: 2, max_files_window_minutes: 10 });
+  const recent = [allowed('s1', ['a.js'], 1), allowed('s1', ['b.js'], 2)];
+  const old = [allowed('s1', ['a.js'], 30), allowed('s1', ['b.js'], 40)];
+
+  assert.strictEqual(evaluate(edit('c.js', 's1'), limit, { history: recent }).decision, 'deny');
+  assert.strictEqual(evaluate(edit('c.js', 's1'), limit, { history: old }).decision, 'allow');
+  assert.strictEqual(evaluate(edit('c.js', 's2'), limit, { history: recent }).decision, 'allow');
+  assert.strictEqual(evaluate(edit('b.js', 's1'), limit, { history: recent }).decision, 'allow');
+});
+
+test('calls without a session are counted one by one', () => {
+  const limit = policy({ max_files_per_operation: 1 });
+  const history = [allowed(null, ['a.js'], 1)];
+  assert.strictEqual(evaluate(edit('b.js'), limit, { history }).decision, 'allow');
+  const result = evaluate({ tool_name: 'Bash', tool_input: { command: 'rm a.js b.js' } }, limit, { history });
+  assert.match(result.reason, /This operation would modify 2 files; the limit is 1/);
+});
+
+test('require_test_pass wants a passing run for the current HEAD', () => {
+  const gate = policy({ require_test_pass: true });
+  const head = { sha: 'b'.repeat(40), committedAt: '2026-03-02T10:00:00Z' };
+  const run = (status, extra) => ({ lastTestRun: Object.assign({ status, command: 'npm test', at: '2026-03-02T11:00:00Z' }, extra) });
+
+  const none = evaluate(commit, gate, { projectState: {}, head });
+  assert.match(none.reason, /no test run has been recorded\. Record a run with .*setup-pm test-run/);
+  assert.match(evaluate(commit, gate, { projectState: run('failed', { head: head.sha }), head }).reason, /failed/);
+  assert.match(evaluate(commit, gate, { projectState: run('passed', { head: 'a'.repeat(40) }), head }).reason, /earlier commit/);
+  assert.strictEqual(evaluate(commit, gate, { projectState: run('passed', { head: head.sha }), head }).decision, 'allow');
+
+  // Runs recorded before `head` existed are judged by time
+  assert.strictEqual(evaluate(commit, gate, { projectState: run('passed'), head }).decision, 'allow');
+  const older = run('passed', { at: '2026-03-01T09:00:00Z' });
+  assert.strictEqual(evaluate(commit, gate, { projectState: older, head }).decision, 'deny');
+});
+
+test('the audit log is appended line by line and rotates', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'policy-audit-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const entry = n => ({ id: `A-${n}`, timestamp: new Date().toISOString(), action: 'policy', decision: 'allow', files: [] });
+
+  appendAudit(entry(1), { dir });
+  fs.appendFileSync(path.join(dir, 'audit-log.jsonl'), '{"truncated\n' + ' '.repeat(1024 * 1024) + '\n');
+  appendAudit(entry(2), { dir });
+  appendAudit(entry(3), { dir });
+
+  assert.ok(fs.existsSync(path.join(dir, 'audit-log.1.jsonl')));
+  assert.deepStrictEqual(readAudit({ dir }).map(e => e.id), ['A-2', 'A-3']);
+  assert.deepStrictEqual(readAudit({ dir, rotated: true }).map(e => e.id), ['A-1', 'A-2', 'A-3']);
+  assert.throws(() => appendAudit({ id: 'A-4' }, { dir }), /timestamp/);
+});
+
+function hook(input) {
+  return new Promise(resolve => {
+    const stdin = new PassThrough();
+    const stdout = new PassThrough();
+    const stderr = new PassThrough();
+    let out = '';
+    let err = '';
+    stdout.on('data', chunk => (out += chunk));
+    stderr.on('data', chunk => (err += chunk));
+    stdin.on('end', () => setImmediate(() => resolve({ out, err })));
+    runHook({ stdin, stdout, stderr });
+    stdin.end(input);
+  });
+}
+
+test('the hook fails closed for governed tools and open for the rest', async t => {
+  withoutProjectDir(t);
+  const root = project(t);
+  fs.writeFileSync(path.join(root, '.claude-code/config.yml'), 'safeguards: [unclosed\n');
+
+  const unreadable = await hook('{not json');
+  assert.match(JSON.parse(unreadable.out).hookSpecificOutput.permissionDecisionReason, /could not parse hook input/);
+
+  const write = await hook(JSON.stringify(Object.assign(edit('a.js'), { cwd: root })));
+  assert.strictEqual(JSON.parse(write.out).hookSpecificOutput.permissionDecision, 'deny');
+
+  const read = await hook(JSON.stringify({ tool_name: 'Read', cwd: root, tool_input: { file_path: 'a.js' } }));
+  assert.deepStrictEqual(read, { out: '', err: '' });
+});
+
+test('audit lines that are not entries are skipped', t => {
+  withoutProjectDir(t);
+  const root = project(t);
+  const dir = path.join(root, '.claude/pm-state');
+  appendAudit(allowed('s1', ['src/a.js'], 1), { dir });
+  fs.appendFileSync(path.join(dir, 'audit-log.jsonl'), 'null\n1\n"edit"\n[]\n{"action":"policy"}\n');
+  appendAudit(allowed('s1', ['src/b.js'], 1), { dir });
+
+  assert.deepStrictEqual(readAudit({ dir }).map(e => e.files), [['src/a.js'], ['src/b.js']]);
+  const result = decide(Object.assign(edit('src/c.js', 's1'), { cwd: root }));
+  assert.strictEqual(result.decision, 'allow');
+  assert.strictEqual(decide(Object.assign(edit('src/d.js', 's1'), { cwd: root })).rule, 'max_files_per_operation');
+});
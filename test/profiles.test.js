@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BUILTIN_DIR, registerProfile, registryPath, resolveProfile, unregisterProfile } = require('../lib/profiles');
+
+// A scratch directory for manifests, with the registry kept inside it
+function workspace(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'profiles-test-'));
+  const previous = process.env.CLAUDE_PM_HOME;
+  process.env.CLAUDE_PM_HOME = path.join(dir, 'home');
+  t.after(() => {
+    if (previous === undefined) delete process.env.CLAUDE_PM_HOME;
+    else process.env.CLAUDE_PM_HOME = previous;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  const write = (file, manifest) => {
+    const target = path.join(dir, file);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, JSON.stringify(manifest));
+    return target;
+  };
+  return { dir, write };
+}
+
+test('includes are placed under "into", minus excluded files, and the including profile wins', t => {
+  const { dir, write } = workspace(t);
+  write('shared/base.json', {
+    name: 'base',
+    directories: ['docs'],
+    files: { 'README.md': 'base/README.md', 'start.sh': 'base/start.sh', 'notes.md': 'base/notes.md' },
+    executable: ['start.sh'],
+    seedState: true,
+    nextSteps: ['From base']
+  });
+  const file = write('team/team.json', {
+    name: 'team',
+    include: [{ profile: '../shared/base.json', into: 'app', exclude: ['notes.md'] }],
+    directories: ['app/docs', 'scripts'],
+    files: { 'app/README.md': 'team/README.md' },
+    gitHooks: true
+  });
+
+  const profile = resolveProfile(file);
+  assert.strictEqual(profile.builtin, false);
+  assert.deepStrictEqual(profile.files, { 'app/README.md': 'team/README.md', 'app/start.sh': 'base/start.sh' });
+  assert.deepStrictEqual(profile.directories, ['app/docs', 'scripts']);
+  assert.deepStrictEqual(profile.executable, ['app/start.sh']);
+  assert.deepStrictEqual([profile.seedState, profile.gitHooks, profile.nextSteps], [true, true, ['From base']]);
+  assert.deepStrictEqual(profile.sourceDirs, [path.join(dir, 'team'), path.join(dir, 'shared')]);
+});
+
+test('include cycles are reported with the chain', t => {
+  const { write } = workspace(t);
+  const first = write('a.json', { name: 'a', include: ['./b.json'] });
+  write('b.json', { name: 'b', include: ['./a.json'] });
+  assert.throws(() => resolveProfile(first), /Profile include cycle: a → b → a/);
+});
+
+test('unknown profiles list the available ones', t => {
+  workspace(t);
+  assert.throws(() => resolveProfile('no-such-profile'), /Unknown profile "no-such-profile"\. Available: .*\bpm\b/);
+  assert.throws(() => resolveProfile('./missing.json'), /Profile manifest \.\/missing\.json not found/);
+});
+
+test('a profile can be passed by the path of its manifest', t => {
+  const { dir, write } = workspace(t);
+  write('team.json', { name: 'team', files: { 'docs/team.md': 'team.md' } });
+
+  const profile = resolveProfile(path.relative(process.cwd(), path.join(dir, 'team.json')));
+  assert.deepStrictEqual([profile.name, profile.file, profile.files], ['team', path.join(dir, 'team.json'), { 'docs/team.md': 'team.md' }]);
+  assert.strictEqual(fs.existsSync(registryPath()), false);
+});
+
+test('registering a profile records its manifest in the registry', t => {
+  const { dir, write } = workspace(t);
+  const file = write('team.json', { name: 'team', include: ['pm'] });
+
+  assert.deepStrictEqual(registerProfile(file), { name: 'team', file, previous: null });
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(dir, 'home/profiles.json'), 'utf8')), { profiles: { team: file } });
+  assert.strictEqual(resolveProfile('team').file, file);
+  assert.ok(resolveProfile('team').files['.claude/settings.json']);
+
+  unregisterProfile('team');
+  assert.throws(() => resolveProfile('team'), /Unknown profile "team"/);
+});
+
+test('built-in names cannot be shadowed by a registered profile', t => {
+  const { dir, write } = workspace(t);
+  const file = write('pm.json', { name: 'pm', files: {} });
+  assert.throws(() => registerProfile(file), /"pm" is a built-in profile/);
+
+  // A registry edited by hand still loses to the built-in
+  fs.mkdirSync(path.join(dir, 'home'));
+  fs.writeFileSync(registryPath(), JSON.stringify({ profiles: { pm: file } }));
+  const profile = resolveProfile('pm');
+  assert.deepStrictEqual([profile.builtin, profile.file], [true, path.join(BUILTIN_DIR, 'pm.json')]);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { appendAudit, readState, seedState, writeState } = require('../lib/pm-state');
+const { buildReport, renderMarkdown, writeReport } = require('../lib/report');
+
+function mission(t) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'report-test-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const dir = path.join(root, 'pm-state');
+  seedState({ dir });
+  const state = readState('project-state.json', { dir });
+  state.phases.PLAN = { status: 'in-progress', startedAt: '2026-05-01T09:00:00.000Z', completedAt: null };
+  state.updatedAt = '2026-05-01T09:00:00.000Z';
+  writeState('project-state.json', state, { dir });
+  return { root, dir };
+}
+
+test('the report is dated by the newest state record, so reruns change nothing', t => {
+  const { root, dir } = mission(t);
+  const out = path.join(root, 'handoff');
+  appendAudit({ timestamp: '2026-05-02T10:30:00.000Z', action: 'policy', tool: 'Edit', files: ['src/app.js'], session: 's1', decision: 'allow', rule: null, reason: null }, { dir });
+
+  const first = buildReport({ dir, now: new Date('2030-01-01T00:00:00Z') });
+  assert.strictEqual(first.asOf, '2026-05-02T10:30:00.000Z');
+  assert.strictEqual(first.phases[0].duration, 25.5 * 60 * 60 * 1000);
+  assert.deepStrictEqual(writeReport(first, { out }).map(r => r.action), ['written', 'written']);
+
+  const again = buildReport({ dir });
+  assert.deepStrictEqual(writeReport(again, { out }).map(r => r.action), ['unchanged', 'unchanged']);
+});
+
+test('the file history lists allowed and blocked safeguard decisions', t => {
+  const { dir } = mission(t);
+  appendAudit({ timestamp: '2026-05-02T10:00:00.000Z', action: 'policy', tool: 'Write', files: ['src/app.js'], session: 's1', decision: 'allow', rule: null, reason: null }, { dir });
+  appendAudit({ timestamp: '2026-05-02T11:00:00.000Z', action: 'policy', tool: 'Edit', files: ['.claude/settings.json'], session: 's1', decision: 'deny', rule: 'protect_core_files', reason: 'Protected' }, { dir });
+  appendAudit({ timestamp: '2026-05-02T12:00:00.000Z', action: 'policy', tool: 'Bash', files: [], session: 's1', decision: 'allow', rule: null, reason: null }, { dir });
+
+  const report = buildReport({ dir });
+  assert.deepStrictEqual(report.files.map(f => [f.file, f.changes.map(c => c.action)]), [
+    ['.claude/settings.json', ['blocked (protect_core_files)']],
+    ['src/app.js', ['allowed']]
+  ]);
+  assert.match(renderMarkdown(report), /### `src\/app\.js`\n\n\| Time \| Action \| Tool \| Agent \| Session \|\n\| --- \| --- \| --- \| --- \| --- \|\n\| 2026-05-02 10:00 \| allowed \| Write \| — \| s1 \|/);
+});
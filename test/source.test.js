@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { openSource, readTarball } = require('../lib/source');
+
+const LONG_DIR = `templates/${'nested-directory-name/'.repeat(6)}agents`;
+const FILES = {
+  'README.md': '# Framework\n',
+  '.claude/agents/tester.md': '---\nname: tester\n---\n',
+  [`${LONG_DIR}/a-very-long-agent-file-name-to-push-past-one-hundred-bytes.md`]: 'long\n',
+  'bin/empty.txt': ''
+};
+
+function makeTree() {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'setup-pm-source-'));
+  const root = path.join(tmp, 'claude-framework-1.2.0');
+  for (const [name, content] of Object.entries(FILES)) {
+    fs.mkdirSync(path.dirname(path.join(root, name)), { recursive: true });
+    fs.writeFileSync(path.join(root, name), content);
+  }
+  return { tmp, root };
+}
+
+function makeTarball(format, { gzip = false } = {}) {
+  const { tmp } = makeTree();
+  const file = path.join(tmp, `release.${gzip ? 'tar.gz' : 'tar'}`);
+  execFileSync('tar', [`--format=${format}`, gzip ? '-czf' : '-cf', file, '-C', tmp, 'claude-framework-1.2.0']);
+  return { tmp, file };
+}
+
+for (const format of ['gnu', 'pax', 'ustar']) {
+  test(`reads a ${format} tarball with paths over 100 bytes`, t => {
+    const { tmp, file } = makeTarball(format);
+    t.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+    const entries = readTarball(file);
+    for (const [name, content] of Object.entries(FILES)) {
+      assert.strictEqual(entries.get(`claude-framework-1.2.0/${name}`).toString(), content, name);
+    }
+    assert.strictEqual(entries.size, Object.keys(FILES).length, 'directories are not entries');
+  });
+}
+
+test('pax headers override the ustar name', t => {
+  const { tmp, file } = makeTarball('pax');
+  t.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+  const raw = fs.readFileSync(file);
+  assert.ok(raw.includes(Buffer.from(' path=')), 'fixture has a pax path record');
+  assert.ok([...readTarball(file).keys()].some(name => name.length > 100));
+});
+
+test('gzipped release tarballs strip the top-level directory', async t => {
+  const { tmp, file } = makeTarball('gnu', { gzip: true });
+  t.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+  const src = openSource({ source: file });
+  assert.strictEqual((await src.read('.claude/agents/tester.md')).toString(), FILES['.claude/agents/tester.md']);
+  assert.strictEqual((await src.read(path.join(...LONG_DIR.split('/'), 'a-very-long-agent-file-name-to-push-past-one-hundred-bytes.md'))).toString(), 'long\n');
+  assert.strictEqual(await src.read('missing.md'), null);
+});
+
+test('directory and tarball sources return the same bytes', async t => {
+  const { tmp, root } = makeTree();
+  t.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+  const file = path.join(tmp, 'release.tgz');
+  execFileSync('tar', ['-czf', file, '-C', tmp, 'claude-framework-1.2.0']);
+
+  const dir = openSource({ source: root });
+  const tarball = openSource({ source: file });
+  for (const name of Object.keys(FILES)) {
+    assert.deepStrictEqual(await tarball.read(name), await dir.read(name), name);
+  }
+});
+
+test('unsupported sources are rejected', () => {
+  assert.throws(() => openSource({ source: path.join(os.tmpdir(), 'does-not-exist.tgz') }), /Source not found/);
+  assert.throws(() => openSource({ source: __filename }), /Unsupported source/);
+});
@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { openSource } = require('../lib/source');
+const { BASE_DIR, LOCKFILE_PATH, installFiles, readBase, readLockfile } = require('../lib/install');
+const { upgradeFiles } = require('../lib/upgrade');
+
+const quiet = () => {};
+const lines = (...values) => values.join('\n') + '\n';
+
+const FILES = {
+  'docs/same.md': 'same.md',
+  'docs/upstream.md': 'upstream.md',
+  'docs/local.md': 'local.md',
+  'docs/both.md': 'both.md',
+  'docs/clash.md': 'clash.md',
+  'docs/new.md': 'new.md'
+};
+
+function release(dir, version, files) {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'VERSION'), `${version}\n`);
+  for (const [name, text] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), text);
+  return openSource({ source: dir });
+}
+
+// Installs 1.0.0, edits some files locally and prepares 2.0.0, so each file
+// lands in a different upgrade case
+async function installed(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'upgrade-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const root = path.join(dir, 'project');
+  fs.mkdirSync(root);
+
+  const v1 = {
+    'same.md': lines('same'),
+    'upstream.md': lines('one'),
+    'local.md': lines('one'),
+    'both.md': lines('a', 'b', 'c', 'd', 'e'),
+    'clash.md': lines('title')
+  };
+  const v1Files = Object.fromEntries(Object.entries(FILES).filter(([dest]) => dest !== 'docs/new.md'));
+  await installFiles(release(path.join(dir, 'v1'), '1.0.0', v1), v1Files, { root, profile: 'pm', log: quiet });
+
+  const edit = (dest, text) => fs.writeFileSync(path.join(root, dest), text);
+  edit('docs/local.md', lines('one', 'local note'));
+  edit('docs/both.md', lines('A (local)', 'b', 'c', 'd', 'e'));
+  edit('docs/clash.md', lines('local title'));
+
+  const src = release(path.join(dir, 'v2'), '2.0.0', Object.assign({}, v1, {
+    'upstream.md': lines('one', 'two'),
+    'both.md': lines('a', 'b', 'c', 'd', 'E (upstream)'),
+    'clash.md': lines('upstream title'),
+    'new.md': lines('new')
+  }));
+  return { root, src };
+}
+
+const read = (root, dest) => fs.readFileSync(path.join(root, dest), 'utf8');
+
+test('each file is classified by comparing base, local and incoming', async t => {
+  const { root, src } = await installed(t);
+  const { previousVersion, version, results } = await upgradeFiles(src, FILES, { root, profile: 'pm', log: quiet });
+
+  assert.deepStrictEqual([previousVersion, version], ['1.0.0', '2.0.0']);
+  assert.deepStrictEqual(Object.fromEntries(results.map(r => [r.dest, r.action])), {
+    'docs/same.md': 'unchanged',
+    'docs/upstream.md': 'updated',
+    'docs/local.md': 'kept-local',
+    'docs/both.md': 'merged',
+    'docs/clash.md': 'conflict',
+    'docs/new.md': 'added'
+  });
+  assert.strictEqual(read(root, 'docs/upstream.md'), lines('one', 'two'));
+  assert.strictEqual(read(root, 'docs/local.md'), lines('one', 'local note'));
+  assert.strictEqual(read(root, 'docs/both.md'), lines('A (local)', 'b', 'c', 'd', 'E (upstream)'));
+  assert.strictEqual(read(root, 'docs/clash.md'), lines('<<<<<<< local', 'local title', '=======', 'upstream title', '>>>>>>> framework 2.0.0'));
+  assert.strictEqual(results.find(r => r.dest === 'docs/clash.md').conflicts, 1);
+});
+
+test('--conflict orig keeps the local copy next to the incoming file', async t => {
+  const { root, src } = await installed(t);
+  // Without a base snapshot a differing file cannot be merged either
+  fs.rmSync(path.join(root, BASE_DIR, 'docs/local.md'));
+  const { results } = await upgradeFiles(src, FILES, { root, conflictStyle: 'orig', log: quiet });
+
+  const conflicts = results.filter(r => r.action === 'conflict').map(r => [r.dest, r.orig]);
+  assert.deepStrictEqual(conflicts, [['docs/local.md', 'docs/local.md.orig'], ['docs/clash.md', 'docs/clash.md.orig']]);
+  assert.strictEqual(read(root, 'docs/clash.md'), lines('upstream title'));
+  assert.strictEqual(read(root, 'docs/clash.md.orig'), lines('local title'));
+  assert.strictEqual(read(root, 'docs/local.md'), lines('one'));
+  assert.strictEqual(read(root, 'docs/local.md.orig'), lines('one', 'local note'));
+});
+
+test('--dry-run reports the same actions and writes nothing', async t => {
+  const { root, src } = await installed(t);
+  const snapshot = dir => {
+    const files = {};
+    const walk = current => {
+      for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+        const file = path.join(current, entry.name);
+        if (entry.isDirectory()) walk(file);
+        else files[path.relative(dir, file)] = fs.readFileSync(file, 'utf8');
+      }
+    };
+    walk(dir);
+    return files;
+  };
+  const before = snapshot(root);
+
+  const { results } = await upgradeFiles(src, FILES, { root, dryRun: true, log: quiet });
+  assert.deepStrictEqual(results.map(r => r.action), ['unchanged', 'updated', 'kept-local', 'merged', 'conflict', 'added']);
+  assert.deepStrictEqual(snapshot(root), before);
+});
+
+test('the lockfile and base snapshots move to the new release', async t => {
+  const { root, src } = await installed(t);
+  const before = JSON.parse(fs.readFileSync(path.join(root, LOCKFILE_PATH), 'utf8'));
+  await upgradeFiles(src, FILES, { root, profile: 'team', profileFile: '/teams/team.json', log: quiet });
+
+  const lockfile = readLockfile(root);
+  assert.deepStrictEqual([lockfile.frameworkVersion, lockfile.profile, lockfile.profileFile], ['2.0.0', 'team', '/teams/team.json']);
+  assert.deepStrictEqual(Object.keys(lockfile.files).sort(), Object.keys(FILES).sort());
+  assert.notStrictEqual(lockfile.files['docs/upstream.md'], before.files['docs/upstream.md']);
+  assert.strictEqual(lockfile.files['docs/same.md'], before.files['docs/same.md']);
+  // Bases are the incoming release, whatever was kept locally
+  assert.strictEqual(readBase('docs/local.md', root).toString(), lines('one'));
+  assert.strictEqual(readBase('docs/clash.md', root).toString(), lines('upstream title'));
+  assert.strictEqual(readBase('docs/new.md', root).toString(), lines('new'));
+});
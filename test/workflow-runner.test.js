@@ -0,0 +1,181 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { readState, seedState } = require('../lib/pm-state');
+const { ExpressionError, evaluate, evaluateCondition, expandMatrix, interpolate, pickMatrix, runWorkflows } = require('../lib/workflow-runner');
+
+const context = {
+  github: { event_name: 'pull_request', head_ref: 'feature/login', event: { pull_request: { base: { ref: 'main' } } } },
+  env: { NODE_ENV: 'test' },
+  matrix: { 'node-version': 20 },
+  needs: { build: { result: 'success', outputs: { artifact: 'dist.tgz' } } },
+  steps: { lint: { outcome: 'failure' } }
+};
+
+test('operator precedence: ! binds tightest, then comparisons, ==, && and ||', () => {
+  assert.strictEqual(evaluate('true || false && false', context), true);
+  assert.strictEqual(evaluate('(true || false) && false', context), false);
+  assert.strictEqual(evaluate('!false && false', context), false);
+  assert.strictEqual(evaluate('!(false && false)', context), true);
+  assert.strictEqual(evaluate('1 < 2 == true', context), true);
+  assert.strictEqual(evaluate('2 > 1 && 3 >= 3 && 1 <= 0 || 4 != 4', context), false);
+  assert.strictEqual(evaluate("!github.head_ref == false", context), true);
+});
+
+test('&& and || return operands, not booleans', () => {
+  assert.strictEqual(evaluate("'' || 'fallback'", context), 'fallback');
+  assert.strictEqual(evaluate("env.NODE_ENV && 'set'", context), 'set');
+  assert.strictEqual(evaluate('env.MISSING && true', context), null);
+  assert.strictEqual(evaluate('github.head_ref || github.ref', context), 'feature/login');
+});
+
+test('comparisons are case-insensitive for strings and coerce mixed types', () => {
+  assert.strictEqual(evaluate("github.event_name == 'PULL_REQUEST'", context), true);
+  assert.strictEqual(evaluate("matrix.node-version == '20'", context), true);
+  assert.strictEqual(evaluate("'' == 0 && null == false", context), true);
+});
+
+test('property access, index access and functions', () => {
+  assert.strictEqual(evaluate("github.event.pull_request.base.ref", context), 'main');
+  assert.strictEqual(evaluate("needs['build'].outputs.artifact", context), 'dist.tgz');
+  assert.strictEqual(evaluate("steps.lint.outcome == 'failure'", context), true);
+  assert.strictEqual(evaluate("startsWith(github.head_ref, 'feature/')", context), true);
+  assert.strictEqual(evaluate("contains(fromJSON('[\"a\",\"b\"]'), 'B')", context), true);
+  assert.strictEqual(evaluate("format('{0}-{1}', 'node', matrix.node-version)", context), 'node-20');
+  assert.throws(() => evaluate('nope()', context), ExpressionError);
+  assert.throws(() => evaluate('true &&', context), ExpressionError);
+  assert.throws(() => evaluate("'a' 'b'", context), ExpressionError);
+});
+
+test('interpolation replaces each ${{ }} with its string value', () => {
+  assert.strictEqual(interpolate('node ${{ matrix.node-version }} on ${{ github.head_ref }}${{ env.MISSING }}', context), 'node 20 on feature/login');
+  assert.strictEqual(interpolate(42, context), 42);
+});
+
+test('success(), failure(), always() and cancelled() follow the job status', () => {
+  const ok = { failed: false };
+  const failed = { failed: true };
+  assert.strictEqual(evaluateCondition('success()', context, ok), true);
+  assert.strictEqual(evaluateCondition('success()', context, failed), false);
+  assert.strictEqual(evaluateCondition('failure()', context, ok), false);
+  assert.strictEqual(evaluateCondition('failure()', context, failed), true);
+  assert.strictEqual(evaluateCondition('always()', context, failed), true);
+  assert.strictEqual(evaluateCondition('${{ cancelled() }}', context, failed), false);
+  assert.strictEqual(evaluateCondition("failure() && steps.lint.outcome == 'failure'", context, failed), true);
+});
+
+test('conditions without a status function get an implicit success()', () => {
+  assert.strictEqual(evaluateCondition(undefined, context, { failed: true }), false);
+  assert.strictEqual(evaluateCondition(true, context, { failed: true }), false);
+  assert.strictEqual(evaluateCondition("github.event_name == 'pull_request'", context, { failed: false }), true);
+  assert.strictEqual(evaluateCondition("github.event_name == 'pull_request'", context, { failed: true }), false);
+});
+
+test('matrix exclude removes every combination matching all its keys', () => {
+  const combos = expandMatrix({ os: ['ubuntu', 'windows'], node: [18, 20], exclude: [{ os: 'windows', node: 18 }] });
+  assert.deepStrictEqual(combos, [{ os: 'ubuntu', node: 18 }, { os: 'ubuntu', node: 20 }, { os: 'windows', node: 20 }]);
+  assert.deepStrictEqual(expandMatrix({ os: ['ubuntu', 'windows'], node: [18], exclude: [{ os: 'windows' }] }), [{ os: 'ubuntu', node: 18 }]);
+});
+
+test('matrix include extends matching combinations or adds new ones', () => {
+  const combos = expandMatrix({
+    fruit: ['apple', 'pear'],
+    animal: ['cat', 'dog'],
+    include: [
+      { color: 'green' },
+      { color: 'pink', animal: 'cat' },
+      { fruit: 'apple', shape: 'circle' },
+      { fruit: 'banana' },
+      { fruit: 'banana', animal: 'cat' }
+    ]
+  });
+  // The example from GitHub's documentation
+  assert.deepStrictEqual(combos, [
+    { fruit: 'apple', animal: 'cat', color: 'pink', shape: 'circle' },
+    { fruit: 'apple', animal: 'dog', color: 'green', shape: 'circle' },
+    { fruit: 'pear', animal: 'cat', color: 'pink' },
+    { fruit: 'pear', animal: 'dog', color: 'green' },
+    { fruit: 'banana' },
+    { fruit: 'banana', animal: 'cat' }
+  ]);
+});
+
+test('an include-only matrix runs each entry, and exclude applies before include', () => {
+  assert.deepStrictEqual(expandMatrix({ include: [{ site: 'prod' }, { site: 'staging' }] }), [{ site: 'prod' }, { site: 'staging' }]);
+  assert.deepStrictEqual(expandMatrix({ os: ['linux'], exclude: [{ os: 'linux' }], include: [{ os: 'linux', experimental: true }] }), [{ os: 'linux', experimental: true }]);
+});
+
+test('the local matrix pick prefers the running Node major', () => {
+  const local = Number(process.versions.node.split('.')[0]);
+  assert.deepStrictEqual(pickMatrix({ matrix: { 'node-version': [local - 2, `${local}.x`] } }), { 'node-version': `${local}.x` });
+  assert.deepStrictEqual(pickMatrix({ matrix: { 'node-version': [8, 10] } }), { 'node-version': 8 });
+  assert.strictEqual(pickMatrix({}), null);
+});
+
+function runSteps(steps, t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'setup-pm-runner-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'shells.yml');
+  fs.writeFileSync(file, `on: push\njobs:\n  shells:\n    runs-on: ubuntu-latest\n    steps:\n${steps.map(step => `      - ${JSON.stringify(step)}`).join('\n')}\n`);
+  const result = runWorkflows({ root: dir, workflows: [file], event: 'push', branch: 'main', inPlace: true });
+  return result.workflows[0].jobs[0].steps.map(step => ({ status: step.status, exitCode: step.exitCode, output: step.output }));
+}
+
+test('run steps use GitHub\'s shell templates and report their exit codes', t => {
+  const steps = runSteps([
+    { name: 'default', run: 'echo default; exit 2' },
+    { name: 'sh', shell: 'sh', run: 'echo from sh >&2\nexit 3', if: 'always()' },
+    { name: 'bash', shell: 'bash', run: 'false | true', if: 'always()' },
+    { name: 'custom', shell: 'node {0}', run: 'process.exit(5)', if: 'always()' },
+    { name: 'no placeholder', shell: 'node', run: 'console.log("ran"); console.error("err")', if: 'always()' }
+  ], t);
+  assert.deepStrictEqual(steps.map(s => [s.status, s.exitCode]), [['failure', 2], ['failure', 3], ['failure', 1], ['failure', 5], ['success', 0]]);
+  assert.match(steps[0].output, /default/);
+  assert.match(steps[1].output, /from sh/);
+  assert.strictEqual(steps[4].output, 'ran\nerr\n');
+});
+
+test('shells that cannot run here fail the step with a reason', t => {
+  const steps = runSteps([
+    { name: 'missing', shell: 'no-such-shell-for-setup-pm {0}', run: 'echo hi' },
+    ...(process.platform === 'win32' ? [] : [{ name: 'cmd', shell: 'cmd', run: 'echo hi', if: 'always()' }])
+  ], t);
+  assert.strictEqual(steps[0].status, 'failure');
+  assert.match(steps[0].output, /Shell "no-such-shell-for-setup-pm" is not installed/);
+  if (steps[1]) assert.match(steps[1].output, /shell: cmd only runs on Windows/);
+});
+
+test('python steps run the script file', { skip: require('child_process').spawnSync('python', ['--version']).status !== 0 && 'python is not installed' }, t => {
+  const steps = runSteps([{ name: 'python', shell: 'python', run: 'import sys\nprint("py")\nsys.exit(4)' }], t);
+  assert.deepStrictEqual([steps[0].status, steps[0].exitCode, steps[0].output], ['failure', 4, 'py\n']);
+});
+
+test('only test workflows are recorded, and a worktree pass is not recorded over uncommitted changes', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'setup-pm-runner-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const git = (...args) => execFileSync('git', ['-c', 'user.name=t', '-c', 'user.email=t@t', ...args], { cwd: dir, stdio: 'pipe' });
+  fs.mkdirSync(path.join(dir, '.github/workflows'), { recursive: true });
+  for (const name of ['branch-naming.yml', 'test.yml']) {
+    fs.writeFileSync(path.join(dir, '.github/workflows', name), 'on: push\njobs:\n  check:\n    runs-on: ubuntu-latest\n    steps:\n      - run: echo ok\n');
+  }
+  git('init', '-q');
+  git('add', '.');
+  git('commit', '-qm', 'init');
+  seedState({ dir: path.join(dir, '.claude/pm-state') });
+  const lastRun = () => readState('project-state.json', { dir: path.join(dir, '.claude/pm-state') }).lastTestRun;
+  const run = (workflows, options) => runWorkflows(Object.assign({ root: dir, workflows, event: 'push', branch: 'main' }, options)).testRun;
+
+  assert.strictEqual(run(['branch-naming.yml']), null);
+  assert.strictEqual(lastRun(), null);
+
+  fs.writeFileSync(path.join(dir, 'app.js'), 'untested\n');
+  assert.deepStrictEqual(run(['test.yml']), { recorded: false, status: 'passed', reason: 'the working tree has uncommitted changes the run did not test; commit them or use --in-place' });
+  assert.strictEqual(lastRun(), null);
+
+  assert.strictEqual(run(['test.yml'], { inPlace: true }).recorded, true);
+  const head = execFileSync('git', ['rev-parse', 'HEAD'], { cwd: dir, encoding: 'utf8' }).trim();
+  assert.deepStrictEqual([lastRun().status, lastRun().head, lastRun().command], ['passed', head, 'workflow-runner test.yml']);
+});
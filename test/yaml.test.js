@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { YamlError, parse, parseFrontmatter } = require('../lib/yaml');
+
+const ROOT = path.join(__dirname, '..');
+const WORKFLOWS = path.join(ROOT, '.github/workflows');
+
+function read(relPath) {
+  return fs.readFileSync(path.join(ROOT, relPath), 'utf8');
+}
+
+test('every shipped workflow parses into name, on and jobs with steps', () => {
+  const names = fs.readdirSync(WORKFLOWS).filter(name => name.endsWith('.yml'));
+  assert.ok(names.length > 0);
+  for (const name of names) {
+    const workflow = parse(read(`.github/workflows/${name}`));
+    assert.strictEqual(typeof workflow.name, 'string', name);
+    assert.ok(workflow.on && typeof workflow.on === 'object', `${name}: "on" stays a string key`);
+    for (const [id, job] of Object.entries(workflow.jobs)) {
+      assert.ok(job['runs-on'] || job.uses, `${name}: ${id}`);
+      for (const step of job.steps || []) assert.ok(step.run || step.uses, `${name}: ${id}`);
+    }
+  }
+});
+
+test('workflow details survive: flow sequences, quoted scalars and literal run blocks', () => {
+  const workflow = parse(read('.github/workflows/commit-lint.yml'));
+  assert.deepStrictEqual(workflow.on.push.branches, ['main', 'master', 'develop']);
+
+  const steps = workflow.jobs.commitlint.steps;
+  assert.strictEqual(steps[0].with['fetch-depth'], 0);
+  assert.strictEqual(steps[1].with['node-version'], '20');
+  const config = steps.find(step => /commitlint\.config\.js/.test(step.run || '')).run;
+  assert.match(config, /^cat > commitlint\.config\.js << 'EOF'\nmodule\.exports = \{\n  extends:/);
+  assert.ok(config.endsWith('\n') && !config.endsWith('\n\n'), 'clip chomping keeps one newline');
+});
+
+test('shipped config, safeguard files and agent frontmatter parse', () => {
+  const config = parse(read('claude-code-workspace/.claude-code/config.yml'));
+  assert.ok(config && typeof config === 'object');
+  const patterns = parse(read('claude-code-workspace/feature-development/.claude-code/safeguards/allowed-patterns.yml'));
+  assert.ok(Array.isArray(patterns.forbidden_patterns));
+  parse(read('claude-code-workspace/feature-development/.claude-code/safeguards/regression-tests.yml'));
+
+  const agentDir = 'claude-code-workspace/new-projects/.claude-code/agents';
+  for (const name of fs.readdirSync(path.join(ROOT, agentDir))) {
+    const { data } = parseFrontmatter(read(`${agentDir}/${name}`));
+    assert.strictEqual(`${data.name}.yml`, name);
+  }
+});
+
+test('literal and folded block scalars with chomping indicators', () => {
+  const doc = parse([
+    'literal: |',
+    '  one',
+    '    indented',
+    '',
+    'strip: |-',
+    '  text',
+    '',
+    'keep: |+',
+    '  text',
+    '',
+    'folded: >',
+    '  joined',
+    '  lines',
+    '',
+    '  new paragraph',
+    'empty: |',
+    'after: done'
+  ].join('\n'));
+  assert.deepStrictEqual(doc, {
+    literal: 'one\n  indented\n',
+    strip: 'text',
+    keep: 'text\n\n',
+    folded: 'joined lines\nnew paragraph\n',
+    empty: '',
+    after: 'done'
+  });
+});
+
+test('flow mappings and sequences, nested and over several lines', () => {
+  assert.deepStrictEqual(parse('matrix: { os: [ubuntu, macos], node: [18, 20], "fail-fast": false }'), {
+    matrix: { os: ['ubuntu', 'macos'], node: [18, 20], 'fail-fast': false }
+  });
+  assert.deepStrictEqual(parse('include: [\n  { node: 22, experimental: true },\n  "a, b"\n]'), {
+    include: [{ node: 22, experimental: true }, 'a, b']
+  });
+  assert.deepStrictEqual(parse('empty: {}\nnone: []'), { empty: {}, none: [] });
+});
+
+test('quoted keys and scalars', () => {
+  assert.deepStrictEqual(parse([
+    '"on": push',
+    "'key: with colon': 'it''s'",
+    '"escaped": "tab\\tand \\"quotes\\""',
+    'hash: "# not a comment" # a comment',
+    'version: "1.10"'
+  ].join('\n')), {
+    on: 'push',
+    'key: with colon': "it's",
+    escaped: 'tab\tand "quotes"',
+    hash: '# not a comment',
+    version: '1.10'
+  });
+});
+
+test('plain scalars follow the core schema', () => {
+  assert.deepStrictEqual(parse('a: true\nb: FALSE\nc: ~\nd: 042\ne: 1.5\nf: yes\ng: on\nh:'), {
+    a: true, b: false, c: null, d: 42, e: 1.5, f: 'yes', g: 'on', h: null
+  });
+});
+
+test('sequences of mappings and sequences under a key at the same indent', () => {
+  assert.deepStrictEqual(parse('steps:\n- name: one\n  run: echo 1\n- - nested\n  - list\n- plain'), {
+    steps: [{ name: 'one', run: 'echo 1' }, ['nested', 'list'], 'plain']
+  });
+});
+
+test('anchors, aliases and tags are rejected with the line number', () => {
+  assert.throws(() => parse('base: &defaults\n  os: ubuntu\n'), err => err instanceof YamlError && /Anchors are not supported/.test(err.message) && err.line === 1);
+  assert.throws(() => parse('job:\n  <<: *defaults\n'), err => /Aliases are not supported \(\*defaults\)/.test(err.message) && err.line === 2);
+  assert.throws(() => parse('value: !!str 3'), /Tags are not supported/);
+  assert.throws(() => parse('list: [a, *b]'), /Aliases are not supported/);
+  assert.deepStrictEqual(parse('glob: "*.md"\nnote: "&amp;"'), { glob: '*.md', note: '&amp;' });
+});
+
+test('malformed input raises YamlError', () => {
+  assert.throws(() => parse('a: 1\na: 2'), /Duplicate key "a" \(line 2\)/);
+  assert.throws(() => parse('a:\n\tb: 1'), /Tabs are not allowed/);
+  assert.throws(() => parse('a: "open'), /Unterminated double-quoted string/);
+  assert.throws(() => parse('a: [1, 2'), /Unterminated flow sequence/);
+  assert.throws(() => parse('a:\n  b: 1\n    c: 2'), /Unexpected indentation/);
+});
+
+test('frontmatter is split from the body, with or without a BOM', () => {
+  const { data, body } = parseFrontmatter('\uFEFF---\nname: tester\ntools: Read, Bash\n---\n# Tester\n');
+  assert.deepStrictEqual(data, { name: 'tester', tools: 'Read, Bash' });
+  assert.strictEqual(body, '# Tester\n');
+  assert.deepStrictEqual(parseFrontmatter('# No frontmatter\n'), { data: null, body: '# No frontmatter\n' });
+});